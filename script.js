@@ -1,60 +1,519 @@
 // Variable global para almacenar los datos del JSON
 let baseDeDatosPalabras = [];
 
+// Versión (huella del contenido), número de entradas y fecha del diccionario cargado
+let infoDiccionario = null;
+
 // Variable global para almacenar el crucigrama generado
 let crucigramaActual = null;
 
 // Estado global para controlar la orientación de escritura actual
 let estadoEntrada = { palabraIndex: null, orientacion: null };
 
+// Última celda del grid que tuvo el foco (los botones de ayuda se lo quitan)
+let celdaActiva = null;
+
 // Constantes del grid
-const GRID_SIZE = 20;
-const MAX_INTENTOS = 100;
+const GRID_SIZE = 20; // Tamaño por defecto; el usuario puede cambiarlo en los ajustes
+const MAX_INTENTOS = 12; // Reinicios de la búsqueda con un orden de palabras distinto
+const MAX_NODOS_BUSQUEDA = 3000; // Palabras evaluadas y colocaciones probadas por reinicio
+const MAX_CANDIDATAS_POR_NIVEL = 6; // Palabras distintas probadas en cada nivel de la búsqueda
+const MAX_COLOCACIONES_POR_PALABRA = 4; // Colocaciones probadas por cada palabra candidata
 
+// Nombres para mostrar de las unidades conocidas. El catálogo se construye a
+// partir de palabras.json, así que una unidad nueva en los datos aparece sola
 const UNIDADES_LEXICAS = [
-    { id: 'U0', nombre: 'En el aula', libro: 'Aula 1 · Libro 1', prefijos: ['U0 #'] },
-    { id: 'U1', nombre: 'Nosotros y nosotras', libro: 'Aula 1 · Libro 1', prefijos: ['U1 #'] },
-    { id: 'U2', nombre: 'Quiero aprender español', libro: 'Aula 1 · Libro 1', prefijos: ['U2 #'] },
-    { id: 'U3', nombre: '¿Dónde está Santiago?', libro: 'Aula 1 · Libro 1', prefijos: ['U3 #'] },
-    { id: 'U4', nombre: '¿Cuál prefieres?', libro: 'Aula 1 · Libro 1', prefijos: ['U4 #'] },
-    { id: 'U5', nombre: 'Tus amigos son mis amigos', libro: 'Aula 1 · Libro 1', prefijos: ['U5 #'] },
-    { id: 'U6', nombre: 'Día a día', libro: 'Aula 1 · Libro 1', prefijos: ['U6 #'] },
-    { id: 'U7', nombre: 'A comer', libro: 'Aula 1 · Libro 1', prefijos: ['U7 #'] },
-    { id: 'U8', nombre: 'El barrio ideal', libro: 'Aula 1 · Libro 1', prefijos: ['U8 #'] },
-    { id: 'U9', nombre: '¿Sabes conducir?', libro: 'Aula 1 · Libro 1', prefijos: ['U9 #'] },
-    { id: 'A2U1', nombre: 'El español y tú', libro: 'Aula 2 · Libro 2', prefijos: ['Aula 2 U1 #'] },
-    { id: 'A2U2', nombre: 'Una vida de película', libro: 'Aula 2 · Libro 2', prefijos: ['Aula 2 U2 #'] },
-    { id: 'A2U4', nombre: 'Hogar dulce hogar', libro: 'Aula 2 · Libro 2', prefijos: ['Aula 2 U4 #'] }
+    { id: 'U0', nombre: 'En el aula', libro: 'Aula 1 · Libro 1' },
+    { id: 'U1', nombre: 'Nosotros y nosotras', libro: 'Aula 1 · Libro 1' },
+    { id: 'U2', nombre: 'Quiero aprender español', libro: 'Aula 1 · Libro 1' },
+    { id: 'U3', nombre: '¿Dónde está Santiago?', libro: 'Aula 1 · Libro 1' },
+    { id: 'U4', nombre: '¿Cuál prefieres?', libro: 'Aula 1 · Libro 1' },
+    { id: 'U5', nombre: 'Tus amigos son mis amigos', libro: 'Aula 1 · Libro 1' },
+    { id: 'U6', nombre: 'Día a día', libro: 'Aula 1 · Libro 1' },
+    { id: 'U7', nombre: 'A comer', libro: 'Aula 1 · Libro 1' },
+    { id: 'U8', nombre: 'El barrio ideal', libro: 'Aula 1 · Libro 1' },
+    { id: 'U9', nombre: '¿Sabes conducir?', libro: 'Aula 1 · Libro 1' },
+    { id: 'A2U1', nombre: 'El español y tú', libro: 'Aula 2 · Libro 2' },
+    { id: 'A2U2', nombre: 'Una vida de película', libro: 'Aula 2 · Libro 2' },
+    { id: 'A2U4', nombre: 'Hogar dulce hogar', libro: 'Aula 2 · Libro 2' }
 ];
 
-const PREFIJOS_POR_UNIDAD = new Map();
-UNIDADES_LEXICAS.forEach(unidad => {
-    const prefijos = Array.isArray(unidad.prefijos) ? unidad.prefijos : [unidad.prefijos];
-    PREFIJOS_POR_UNIDAD.set(unidad.id, prefijos);
-});
+// Catálogo libro → unidad → sección, construido a partir de "Lugar en el libro"
+let catalogoUnidades = crearCatalogoVacio();
+
+// Listas de vocabulario importadas por el profesor, guardadas en este navegador.
+// Cada lista es una unidad más: sus registros tienen la misma forma que los del JSON.
+const CLAVE_LISTAS_PROPIAS = 'crucigramas:listas-propias';
+const PREFIJO_LISTA_PROPIA = 'L-';
+let listasPropias = cargarListasPropias();
 
 let unidadesSeleccionadas = new Set(['U5']);
 
+// Parámetros del crucigrama configurables desde el panel de ajustes
+const CLAVE_CONFIGURACION = 'crucigramas:configuracion';
+
+const CONFIGURACION_POR_DEFECTO = {
+    numPalabras: 10,
+    tamanoGrid: GRID_SIZE,
+    longitudMin: 3,
+    longitudMax: 12
+};
+
+const LIMITES_CONFIGURACION = {
+    numPalabras: { min: 2, max: 30 },
+    tamanoGrid: { min: 10, max: 30 },
+    longitudMin: { min: 2, max: 10 },
+    longitudMax: { min: 3, max: 20 }
+};
+
+const PRESETS_CONFIGURACION = {
+    rapido: { nombre: 'Rápido (6 palabras)', numPalabras: 6, tamanoGrid: 15, longitudMin: 3, longitudMax: 10 },
+    clase: { nombre: 'Clase (12 palabras)', numPalabras: 12, tamanoGrid: 20, longitudMin: 3, longitudMax: 12 },
+    reto: { nombre: 'Reto (20 palabras)', numPalabras: 20, tamanoGrid: 26, longitudMin: 4, longitudMax: 15 }
+};
+
+let configuracion = cargarConfiguracion();
+
+// Modos de corrección de tildes y eñes
+const MODOS_ACENTOS = {
+    estricto: { nombre: 'Estricto: tildes obligatorias' },
+    'sin-tildes': { nombre: 'Tildes opcionales (Ñ ≠ N)' }
+};
+
+let modoAcentos = 'estricto';
+
+// Campos del registro que pueden usarse como pista
+const FUENTES_PISTA = {
+    ingles: palabra => palabra.registro?.["Traducción (Inglés)"],
+    chinoTradicional: palabra => palabra.registro?.["Chino tradicional"],
+    chinoSimplificado: palabra => palabra.registro?.["Chino simplificado"],
+    frase: palabra => crearFraseConHueco(palabra)
+};
+
+// Modos de pista: cada uno combina una o varias fuentes
+const MODOS_PISTAS = {
+    ingles: { nombre: 'Inglés', fuentes: ['ingles'] },
+    'chino-tradicional': { nombre: 'Chino tradicional', fuentes: ['chinoTradicional'] },
+    'chino-simplificado': { nombre: 'Chino simplificado', fuentes: ['chinoSimplificado'] },
+    frase: { nombre: 'Frase de ejemplo con hueco', fuentes: ['frase'] },
+    'ingles-chino-tradicional': { nombre: 'Inglés + chino tradicional', fuentes: ['ingles', 'chinoTradicional'] },
+    'ingles-chino-simplificado': { nombre: 'Inglés + chino simplificado', fuentes: ['ingles', 'chinoSimplificado'] }
+};
+
+let modoPistas = 'ingles';
+let mostrarCategoriaPista = false;
+
+// Dirección del juego: qué campo se escribe en el grid
+const DIRECCIONES_JUEGO = {
+    directa: { nombre: 'Español (pistas en inglés)' },
+    inversa: { nombre: 'Inglés (pistas en español)' }
+};
+
+let direccionJuego = 'directa';
+
 let tooltipMostradoInicialmente = false;
 
+let verificacionAutomaticaConfigurada = false;
+
+// Ayudas y puntuación: cada ayuda resta puntos del resultado final
+const PUNTOS_POR_LETRA = 10;
+const COSTES_AYUDA = {
+    letra: 5,
+    palabra: 20,
+    comprobar: 2
+};
+
+// Modos de tiempo: cronómetro libre o cuenta atrás (límite en segundos)
+const MODOS_TIEMPO = {
+    sin: { nombre: 'Sin tiempo' },
+    cronometro: { nombre: 'Cronómetro' },
+    'cuenta-3': { nombre: 'Cuenta atrás: 3 min', limite: 180 },
+    'cuenta-5': { nombre: 'Cuenta atrás: 5 min', limite: 300 },
+    'cuenta-10': { nombre: 'Cuenta atrás: 10 min', limite: 600 }
+};
+
+// Segundos por palabra por debajo de los cuales se gana bonificación
+const TIEMPO_OBJETIVO_POR_PALABRA = 20;
+const CLAVE_MEJORES_TIEMPOS = 'crucigramas:mejores-tiempos';
+const MAX_MEJORES_TIEMPOS = 5;
+
+let modoTiempo = 'sin';
+let intervaloTemporizador = null;
+
+// Avisos y diálogos propios en lugar de alert() y confirm()
+const DURACION_AVISO = 5000;
+const MAX_AVISOS_VISIBLES = 3;
+let dialogoAbierto = null;
+
+// Tema de alto contraste; sin preferencia guardada se sigue la del sistema
+const CLAVE_ALTO_CONTRASTE = 'crucigramas:alto-contraste';
+
+// Teclado en pantalla para móviles; sin preferencia guardada se activa en
+// pantallas táctiles
+const CLAVE_TECLADO_PANTALLA = 'crucigramas:teclado-pantalla';
+const FILAS_TECLADO = [
+    ['Á', 'É', 'Í', 'Ó', 'Ú', 'Ü'],
+    ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+    ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'Ñ'],
+    ['Z', 'X', 'C', 'V', 'B', 'N', 'M', 'borrar'],
+    ['anterior', 'direccion', 'siguiente']
+];
+const TECLAS_ESPECIALES = {
+    borrar: { texto: '⌫', etiqueta: 'Borrar' },
+    anterior: { texto: '◀ Pista', etiqueta: 'Pista anterior' },
+    direccion: { texto: '⇄', etiqueta: 'Cambiar de dirección' },
+    siguiente: { texto: 'Pista ▶', etiqueta: 'Pista siguiente' }
+};
+
+// Ampliación del grid con el gesto de pellizcar (o Ctrl + rueda)
+const ZOOM_GRID_MIN = 1;
+const ZOOM_GRID_MAX = 3;
+let zoomGrid = 1;
+
+// Estado de cada celda tal como lo leen los lectores de pantalla
+const ESTADOS_CELDA_ACCESIBLES = [
+    ['incorrect', 'Incorrecta'],
+    ['accent-warning', 'Aceptada sin tilde'],
+    ['revealed', 'Revelada'],
+    ['correct', 'Correcta']
+];
+
+// Partidas guardadas en localStorage: un índice y una entrada por partida
+const CLAVE_INDICE_PARTIDAS = 'crucigramas:partidas';
+const CLAVE_PARTIDA_ACTUAL = 'crucigramas:partida-actual';
+const PREFIJO_PARTIDA = 'crucigramas:partida:';
+const MAX_PARTIDAS_GUARDADAS = 10;
+
+// Repetición espaciada (sistema Leitner): cada palabra avanza una caja al
+// acertarla y vuelve a la primera al fallarla. Días hasta el siguiente repaso:
+const CLAVE_ESTADISTICAS_PALABRAS = 'crucigramas:estadisticas-palabras';
+const INTERVALOS_REPASO = [0, 1, 3, 7, 14, 30];
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+const PESO_REPASO_VENCIDA = 5; // Multiplica el peso de las palabras con el repaso pendiente
+const PESO_REPASO_FALLOS = 4; // Peso extra de una palabra que siempre se falla
+
+let estadisticasPalabras = cargarEstadisticasPalabras();
+
+// Palabras que el alumno marca con una estrella en los resultados para repasarlas
+const CLAVE_PALABRAS_MARCADAS = 'crucigramas:palabras-marcadas';
+let palabrasMarcadas = cargarPalabrasMarcadas();
+
+// Filtros por categoría gramatical y género ("Parte del discurso")
+const CATEGORIAS_GRAMATICALES = [
+    { id: 'sustantivo', nombre: 'Sustantivos' },
+    { id: 'verbo', nombre: 'Verbos' },
+    { id: 'adjetivo', nombre: 'Adjetivos' },
+    { id: 'adverbio', nombre: 'Adverbios' },
+    { id: 'expresion', nombre: 'Expresiones' },
+    { id: 'otros', nombre: 'Otras categorías' }
+];
+
+const GENEROS_GRAMATICALES = [
+    { id: 'masculino', nombre: 'Masculino' },
+    { id: 'femenino', nombre: 'Femenino' },
+    { id: 'comun', nombre: 'Común / ambos' }
+];
+
+let filtrosGramaticales = {
+    categorias: new Set(CATEGORIAS_GRAMATICALES.map(categoria => categoria.id)),
+    generos: new Set(GENEROS_GRAMATICALES.map(genero => genero.id))
+};
+
 /**
  * Carga los datos del JSON al iniciar la página
  */
 window.addEventListener('DOMContentLoaded', async () => {
+    // Un enlace compartido fija unidades, ajustes y semilla antes de pintar la interfaz
+    const puzzleCompartido = leerPuzzleDesdeUrl();
+    if (puzzleCompartido) {
+        aplicarPuzzleCompartido(puzzleCompartido);
+        tooltipMostradoInicialmente = true;
+    }
+
+    // Sin enlace compartido se retoma la última partida en curso
+    const partidaEnCurso = puzzleCompartido ? null : cargarPartida(leerIdPartidaActual());
+    if (partidaEnCurso) {
+        tooltipMostradoInicialmente = true;
+    }
+
+    inicializarDialogo();
+    inicializarAltoContraste();
+    inicializarAccesibilidadGrid();
+    inicializarZoomGrid();
+    inicializarTecladoPantalla();
     inicializarSelectorUnidades();
+    inicializarImportacionListas();
+    inicializarPanelAjustes();
+    inicializarSelectorAcentos();
+    inicializarSelectorPistas();
+    inicializarSelectorDireccion();
+    inicializarPartidasGuardadas();
+    inicializarSelectorTiempo();
+    inicializarPanelImpresion();
+    inicializarEditor();
+
+    if (partidaEnCurso) {
+        restaurarPartida(partidaEnCurso);
+    }
+
+    await cargarDiccionario(puzzleCompartido);
+});
 
+/**
+ * Descarga palabras.json y prepara el catálogo. Si falla, ofrece reintentarlo
+ * sin recargar la página.
+ * @param {Object|null} puzzleCompartido - Crucigrama del enlace, que se genera al terminar
+ */
+async function cargarDiccionario(puzzleCompartido = null) {
     try {
         const response = await fetch('palabras.json');
-        baseDeDatosPalabras = await response.json();
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const texto = await response.text();
+        baseDeDatosPalabras = JSON.parse(texto);
         console.log(`Cargadas ${baseDeDatosPalabras.length} palabras del JSON`);
+        const modificado = Date.parse(response.headers?.get('Last-Modified') || '');
+        infoDiccionario = {
+            version: calcularHuella(texto),
+            entradas: baseDeDatosPalabras.length,
+            fecha: Number.isNaN(modificado) ? null : new Date(modificado)
+        };
+        mostrarInfoDiccionario();
+        catalogoUnidades = construirCatalogo(baseDeDatosPalabras);
+        const enlaceValido = !puzzleCompartido || descartarUnidadesDesconocidas(puzzleCompartido);
+        renderizarOpcionesUnidades(obtenerSeleccionPendiente());
+        actualizarResumenUnidades();
+        actualizarResumenAjustes();
+        actualizarRecuentosFiltros();
+
+        if (puzzleCompartido && enlaceValido) {
+            generarYMostrarCrucigrama(puzzleCompartido.semilla);
+        }
     } catch (error) {
         console.error('Error al cargar palabras.json:', error);
-        alert('Error al cargar el diccionario. Por favor, recarga la página.');
+        mostrarInfoDiccionario();
+        notificar('No se pudo cargar el diccionario. Comprueba la conexión e inténtalo de nuevo.', {
+            tipo: 'error',
+            duracion: 0,
+            accion: { texto: 'Reintentar', alPulsar: () => cargarDiccionario(puzzleCompartido) }
+        });
     }
-});
+}
+
+/**
+ * Pie de página con la versión del diccionario cargado y si hay conexión
+ */
+function mostrarInfoDiccionario() {
+    const elemento = document.getElementById('diccionario-info');
+    if (!elemento) return;
+
+    if (!infoDiccionario) {
+        elemento.textContent = 'Diccionario sin cargar';
+        return;
+    }
+
+    const partes = [
+        `Diccionario ${infoDiccionario.version}`,
+        `${infoDiccionario.entradas} entradas`
+    ];
+    if (infoDiccionario.fecha) {
+        partes.push(`actualizado el ${infoDiccionario.fecha.toLocaleDateString('es-ES')}`);
+    }
+    if (!navigator.onLine) {
+        partes.push('sin conexión (copia guardada)');
+    }
+    elemento.textContent = partes.join(' · ');
+}
+
+/**
+ * Registra el service worker que guarda la aplicación y el diccionario para
+ * jugar sin conexión. Cuando detecta un diccionario nuevo lo avisa y se
+ * ofrece cargarlo sin recargar la página.
+ */
+function registrarServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('No se pudo registrar el service worker:', error);
+    });
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.tipo !== 'diccionario-actualizado') return;
+        notificar('Hay una versión nueva del diccionario.', {
+            duracion: 0,
+            accion: { texto: 'Cargarla', alPulsar: () => cargarDiccionario() }
+        });
+    });
+}
+
+/**
+ * Muestra un aviso no bloqueante en la esquina de la página. Se anuncia en la
+ * región viva; los errores, de forma inmediata.
+ * @param {string} mensaje - Texto del aviso
+ * @param {Object} opciones - {tipo: 'info'|'exito'|'aviso'|'error', duracion en ms
+ *   (0 = hasta cerrarlo), accion: {texto, alPulsar}}
+ * @returns {HTMLElement|null} - El aviso creado
+ */
+function notificar(mensaje, { tipo = 'info', duracion = DURACION_AVISO, accion = null } = {}) {
+    const region = document.getElementById('toast-region');
+    if (!region) {
+        console.warn(mensaje);
+        return null;
+    }
+
+    // El mismo aviso repetido sustituye al anterior en vez de apilarse
+    Array.from(region.children)
+        .filter(aviso => aviso.dataset.mensaje === mensaje)
+        .forEach(cerrarAviso);
+
+    const aviso = document.createElement('div');
+    aviso.className = `toast toast--${tipo}`;
+    aviso.dataset.mensaje = mensaje;
+    aviso.setAttribute('role', tipo === 'error' ? 'alert' : 'status');
+
+    const texto = document.createElement('p');
+    texto.className = 'toast__message';
+    texto.textContent = mensaje;
+    aviso.appendChild(texto);
+
+    if (accion) {
+        const accionBtn = document.createElement('button');
+        accionBtn.type = 'button';
+        accionBtn.className = 'toast__action';
+        accionBtn.textContent = accion.texto;
+        accionBtn.addEventListener('click', () => {
+            cerrarAviso(aviso);
+            accion.alPulsar();
+        });
+        aviso.appendChild(accionBtn);
+    }
+
+    const cerrarBtn = document.createElement('button');
+    cerrarBtn.type = 'button';
+    cerrarBtn.className = 'toast__close';
+    cerrarBtn.textContent = '×';
+    cerrarBtn.setAttribute('aria-label', 'Cerrar aviso');
+    cerrarBtn.addEventListener('click', () => cerrarAviso(aviso));
+    aviso.appendChild(cerrarBtn);
+
+    // Mientras el ratón o el foco están en el aviso no desaparece
+    if (duracion > 0) {
+        const programar = () => {
+            clearTimeout(aviso.temporizador);
+            aviso.temporizador = setTimeout(() => cerrarAviso(aviso), duracion);
+        };
+        aviso.addEventListener('mouseenter', () => clearTimeout(aviso.temporizador));
+        aviso.addEventListener('focusin', () => clearTimeout(aviso.temporizador));
+        aviso.addEventListener('mouseleave', programar);
+        aviso.addEventListener('focusout', programar);
+        programar();
+    }
+
+    region.appendChild(aviso);
+    Array.from(region.children).slice(0, -MAX_AVISOS_VISIBLES).forEach(cerrarAviso);
+    return aviso;
+}
+
+function cerrarAviso(aviso) {
+    clearTimeout(aviso.temporizador);
+    aviso.remove();
+}
+
+/**
+ * Abre un diálogo modal. El resto de la página queda inerte mientras está
+ * abierto y el foco vuelve después al elemento que lo tenía.
+ * @param {Object} opciones - {titulo, mensaje, campo: texto de solo lectura para
+ *   copiar, botones: [{texto, valor, principal}], valorCancelar: lo que devuelve Escape}
+ * @returns {Promise} - Se resuelve con el valor del botón pulsado
+ */
+function mostrarDialogo({ titulo, mensaje = '', campo = null, botones = [{ texto: 'Aceptar', valor: true, principal: true }], valorCancelar = null }) {
+    const dialogo = document.getElementById('app-dialog');
+    if (!dialogo) return Promise.resolve(valorCancelar);
+
+    // Un diálogo nuevo cancela el que estuviera abierto
+    if (dialogoAbierto) cerrarDialogo(dialogoAbierto.valorCancelar);
+
+    document.getElementById('app-dialog-title').textContent = titulo;
+    document.getElementById('app-dialog-message').textContent = mensaje;
+
+    const campoInput = document.getElementById('app-dialog-field');
+    campoInput.hidden = campo === null;
+    campoInput.value = campo ?? '';
+
+    const acciones = document.getElementById('app-dialog-actions');
+    acciones.innerHTML = '';
+    botones.forEach(({ texto, valor, principal }) => {
+        const boton = document.createElement('button');
+        boton.type = 'button';
+        boton.textContent = texto;
+        if (principal) boton.className = 'primary-action';
+        boton.addEventListener('click', () => cerrarDialogo(valor));
+        acciones.appendChild(boton);
+    });
+
+    return new Promise(resolver => {
+        dialogoAbierto = { resolver, valorCancelar, focoPrevio: document.activeElement };
+        dialogo.hidden = false;
+        document.querySelector('.container').inert = true;
+
+        if (campo !== null) {
+            campoInput.focus();
+            campoInput.select();
+        } else {
+            (acciones.querySelector('.primary-action') || acciones.firstElementChild).focus();
+        }
+    });
+}
+
+function cerrarDialogo(valor) {
+    if (!dialogoAbierto) return;
+
+    const { resolver, focoPrevio } = dialogoAbierto;
+    dialogoAbierto = null;
+    document.getElementById('app-dialog').hidden = true;
+    document.querySelector('.container').inert = false;
+    if (focoPrevio && typeof focoPrevio.focus === 'function') focoPrevio.focus();
+    resolver(valor);
+}
+
+/**
+ * Sustituto de confirm(): Aceptar devuelve true; Cancelar o Escape, false
+ */
+function confirmar(mensaje, { titulo = '¿Seguro?', textoAceptar = 'Aceptar' } = {}) {
+    return mostrarDialogo({
+        titulo,
+        mensaje,
+        botones: [
+            { texto: 'Cancelar', valor: false },
+            { texto: textoAceptar, valor: true, principal: true }
+        ],
+        valorCancelar: false
+    });
+}
+
+function inicializarDialogo() {
+    const dialogo = document.getElementById('app-dialog');
+    if (!dialogo) return;
+
+    dialogo.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            cerrarDialogo(dialogoAbierto?.valorCancelar ?? null);
+        }
+    });
+
+    // Pulsar fuera de la caja equivale a cancelar. Los clics no llegan al
+    // documento para no cerrar el panel desde el que se abrió el diálogo.
+    dialogo.addEventListener('click', (event) => {
+        event.stopPropagation();
+        if (event.target === dialogo) cerrarDialogo(dialogoAbierto?.valorCancelar ?? null);
+    });
+}
 
 function inicializarSelectorUnidades() {
     renderizarOpcionesUnidades();
+    renderizarFiltrosGramaticales();
     actualizarResumenUnidades();
 
     const selectorBtn = document.getElementById('unit-selector-btn');
@@ -71,11 +530,18 @@ function inicializarSelectorUnidades() {
     applyBtn.addEventListener('click', () => {
         const seleccionadas = obtenerUnidadesMarcadas();
         if (seleccionadas.length === 0) {
-            alert('Selecciona al menos una unidad para jugar.');
+            notificar('Selecciona al menos una unidad para jugar.', { tipo: 'aviso' });
+            return;
+        }
+        const filtros = obtenerFiltrosMarcados();
+        if (filtros.categorias.size === 0) {
+            notificar('Selecciona al menos una categoría gramatical.', { tipo: 'aviso' });
             return;
         }
         unidadesSeleccionadas = new Set(seleccionadas);
+        filtrosGramaticales = filtros;
         actualizarResumenUnidades();
+        actualizarResumenAjustes();
         toggleTooltip(false);
     });
 
@@ -83,6 +549,29 @@ function inicializarSelectorUnidades() {
         obtenerCheckboxesUnidades().forEach(checkbox => {
             checkbox.checked = true;
         });
+        actualizarEstadoArbolUnidades();
+        actualizarRecuentosFiltros();
+    });
+
+    // Marcar un libro o una unidad marca todo lo que contiene; cualquier
+    // cambio actualiza el estado de los nodos que lo contienen
+    document.getElementById('unit-checkboxes').addEventListener('change', (event) => {
+        const checkbox = event.target;
+        if (checkbox.type !== 'checkbox') return;
+
+        if (!checkbox.dataset.hoja) {
+            checkbox.closest('.unit-node').querySelectorAll('input[data-hoja]').forEach(hoja => {
+                hoja.checked = checkbox.checked;
+            });
+        }
+        actualizarEstadoArbolUnidades();
+    });
+
+    // Los recuentos se recalculan con cualquier cambio dentro del tooltip
+    tooltip.addEventListener('change', (event) => {
+        if (event.target.type === 'checkbox') {
+            actualizarRecuentosFiltros();
+        }
     });
 
     document.addEventListener('click', (event) => {
@@ -105,48 +594,292 @@ function inicializarSelectorUnidades() {
     }
 }
 
-function renderizarOpcionesUnidades() {
+/**
+ * Dibuja el árbol de libros, unidades y secciones con casillas de tres estados
+ * @param {Array<string>} marcadas - IDs de unidades, secciones o listas a marcar
+ */
+function renderizarOpcionesUnidades(marcadas = Array.from(unidadesSeleccionadas)) {
     const container = document.getElementById('unit-checkboxes');
     if (!container) return;
 
     container.innerHTML = '';
 
-    UNIDADES_LEXICAS.forEach(unidad => {
+    if (catalogoUnidades.libros.length === 0) {
+        const cargando = document.createElement('p');
+        cargando.className = 'unit-tooltip__hint';
+        cargando.textContent = 'Cargando unidades…';
+        container.appendChild(cargando);
+    }
+
+    catalogoUnidades.libros.forEach(libro => {
+        const nodoLibro = crearNodoUnidades({ tipo: 'libro', id: libro.id, nombre: libro.nombre, total: libro.total, abierto: true });
+
+        libro.unidades.forEach(unidad => {
+            const nodoUnidad = crearNodoUnidades({
+                tipo: 'unidad',
+                id: unidad.id,
+                nombre: unidad.nombre,
+                detalle: `Unidad ${unidad.numero}`,
+                total: unidad.total
+            });
+            unidad.secciones.forEach(seccion => {
+                nodoUnidad.hijos.appendChild(crearNodoUnidades({
+                    tipo: 'seccion',
+                    id: seccion.id,
+                    nombre: obtenerNombreSeccion(seccion),
+                    total: seccion.total
+                }).nodo);
+            });
+            nodoLibro.hijos.appendChild(nodoUnidad.nodo);
+        });
+
+        container.appendChild(nodoLibro.nodo);
+    });
+
+    if (listasPropias.length > 0) {
+        const nodoListas = crearNodoUnidades({
+            tipo: 'grupo',
+            id: 'listas-propias',
+            nombre: 'Listas propias',
+            total: listasPropias.reduce((suma, lista) => suma + lista.palabras.length, 0),
+            abierto: true
+        });
+
+        listasPropias.forEach(lista => {
+            const { nodo, fila } = crearNodoUnidades({ tipo: 'lista', id: lista.id, nombre: lista.nombre, total: lista.palabras.length });
+
+            const eliminarBtn = document.createElement('button');
+            eliminarBtn.type = 'button';
+            eliminarBtn.className = 'unit-option__delete';
+            eliminarBtn.textContent = 'Eliminar';
+            eliminarBtn.setAttribute('aria-label', `Eliminar la lista ${lista.nombre}`);
+            eliminarBtn.addEventListener('click', () => eliminarListaPropia(lista.id));
+            fila.appendChild(eliminarBtn);
+
+            nodoListas.hijos.appendChild(nodo);
+        });
+
+        container.appendChild(nodoListas.nodo);
+    }
+
+    marcarSeleccionEnArbol(marcadas);
+
+    // Las unidades con solo algunas secciones marcadas se muestran abiertas
+    container.querySelectorAll('.unit-node--unidad').forEach(nodo => {
+        if (nodo.querySelector(':scope > .unit-node__row input').indeterminate) {
+            desplegarNodoUnidades(nodo, true);
+        }
+    });
+}
+
+/**
+ * Crea un nodo del árbol de unidades. Las secciones y las listas son hojas;
+ * los libros, unidades y grupos tienen un botón para plegar sus hijos.
+ * @returns {Object} - {nodo, fila, hijos}
+ */
+function crearNodoUnidades({ tipo, id, nombre, detalle = '', total, abierto = false }) {
+    const esHoja = tipo === 'seccion' || tipo === 'lista';
+
+    const nodo = document.createElement('div');
+    nodo.className = `unit-node unit-node--${tipo}`;
+
+    const fila = document.createElement('div');
+    fila.className = 'unit-node__row';
+
+    const label = document.createElement('label');
+    label.className = 'unit-node__label';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = id;
+    checkbox.dataset.nodo = tipo;
+    if (esHoja) checkbox.dataset.hoja = 'true';
+
+    const texto = document.createElement('span');
+    texto.className = 'unit-node__name';
+    texto.textContent = nombre;
+
+    const recuento = document.createElement('span');
+    recuento.className = 'unit-node__count';
+    recuento.textContent = total;
+    recuento.title = `${total} entradas`;
+
+    label.appendChild(checkbox);
+    label.appendChild(texto);
+    if (detalle) {
+        const secundario = document.createElement('span');
+        secundario.className = 'unit-node__detail';
+        secundario.textContent = detalle;
+        label.appendChild(secundario);
+    }
+    label.appendChild(recuento);
+
+    let hijos = null;
+    if (!esHoja) {
+        const desplegarBtn = document.createElement('button');
+        desplegarBtn.type = 'button';
+        desplegarBtn.className = 'unit-node__toggle';
+        desplegarBtn.setAttribute('aria-label', `Mostrar u ocultar el contenido de ${nombre}`);
+        desplegarBtn.addEventListener('click', () => desplegarNodoUnidades(nodo));
+        fila.appendChild(desplegarBtn);
+
+        hijos = document.createElement('div');
+        hijos.className = 'unit-node__children';
+    }
+
+    fila.appendChild(label);
+    nodo.appendChild(fila);
+    if (hijos) {
+        nodo.appendChild(hijos);
+        desplegarNodoUnidades(nodo, abierto);
+    }
+
+    return { nodo, fila, hijos };
+}
+
+function desplegarNodoUnidades(nodo, forceState) {
+    const hijos = nodo.querySelector(':scope > .unit-node__children');
+    const boton = nodo.querySelector(':scope > .unit-node__row > .unit-node__toggle');
+    if (!hijos || !boton) return;
+
+    const abrir = typeof forceState === 'boolean' ? forceState : hijos.hidden;
+    hijos.hidden = !abrir;
+    boton.setAttribute('aria-expanded', abrir ? 'true' : 'false');
+    boton.textContent = abrir ? '▾' : '▸';
+}
+
+/**
+ * Marca las hojas que corresponden a los IDs y recalcula los nodos padre
+ */
+function marcarSeleccionEnArbol(ids) {
+    const secciones = expandirSeleccionUnidades(ids);
+    obtenerCheckboxesUnidades().forEach(checkbox => {
+        checkbox.checked = secciones.has(checkbox.value);
+    });
+    actualizarEstadoArbolUnidades();
+}
+
+/**
+ * Cada nodo padre queda marcado, desmarcado o a medias según sus hojas
+ */
+function actualizarEstadoArbolUnidades() {
+    document.querySelectorAll('#unit-checkboxes input:not([data-hoja])').forEach(checkbox => {
+        const hojas = Array.from(checkbox.closest('.unit-node').querySelectorAll('input[data-hoja]'));
+        const marcadas = hojas.filter(hoja => hoja.checked).length;
+        checkbox.checked = hojas.length > 0 && marcadas === hojas.length;
+        checkbox.indeterminate = marcadas > 0 && marcadas < hojas.length;
+    });
+}
+
+function renderizarFiltrosGramaticales() {
+    const categorias = document.getElementById('pos-checkboxes');
+    const generos = document.getElementById('gender-checkboxes');
+    if (!categorias || !generos) return;
+
+    const crearOpcion = (grupo, opcion) => {
         const label = document.createElement('label');
-        label.className = 'unit-option';
+        label.className = 'filter-option';
 
         const checkbox = document.createElement('input');
         checkbox.type = 'checkbox';
-        checkbox.value = unidad.id;
-        checkbox.checked = unidadesSeleccionadas.has(unidad.id);
+        checkbox.value = opcion.id;
+        checkbox.dataset.filtro = grupo;
 
-        const details = document.createElement('div');
-        details.className = 'unit-option__details';
+        const nombre = document.createElement('span');
+        nombre.textContent = opcion.nombre;
 
-        const nombre = document.createElement('strong');
-        nombre.textContent = unidad.nombre;
+        const recuento = document.createElement('span');
+        recuento.className = 'filter-option__count';
 
-        const libro = document.createElement('span');
-        libro.textContent = unidad.libro;
+        label.appendChild(checkbox);
+        label.appendChild(nombre);
+        label.appendChild(recuento);
+        return label;
+    };
 
-        details.appendChild(nombre);
-        details.appendChild(libro);
+    categorias.innerHTML = '';
+    generos.innerHTML = '';
+    CATEGORIAS_GRAMATICALES.forEach(categoria => categorias.appendChild(crearOpcion('categorias', categoria)));
+    GENEROS_GRAMATICALES.forEach(genero => generos.appendChild(crearOpcion('generos', genero)));
+}
 
-        label.appendChild(checkbox);
-        label.appendChild(details);
+function obtenerCheckboxesFiltros(grupo) {
+    return Array.from(document.querySelectorAll(`#unit-tooltip input[data-filtro="${grupo}"]`));
+}
+
+function obtenerFiltrosMarcados() {
+    const marcados = grupo => new Set(obtenerCheckboxesFiltros(grupo)
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value));
+    return { categorias: marcados('categorias'), generos: marcados('generos') };
+}
+
+/**
+ * Muestra junto a cada filtro cuántas palabras jugables quedarían con las
+ * unidades y filtros marcados en el tooltip (aún sin aplicar)
+ */
+function actualizarRecuentosFiltros() {
+    const resumen = document.getElementById('unit-filter-summary');
+    if (!resumen) return;
+
+    if (baseDeDatosPalabras.length === 0) {
+        resumen.textContent = 'Cargando el diccionario…';
+        return;
+    }
 
-        container.appendChild(label);
+    const filtros = obtenerFiltrosMarcados();
+    const clasificadas = obtenerPalabrasPorUnidades(obtenerUnidadesMarcadas(), configuracion, null)
+        .map(item => clasificarParteDiscurso(item["Parte del discurso"]));
+
+    obtenerCheckboxesFiltros('categorias').forEach(checkbox => {
+        const total = clasificadas.filter(clase =>
+            clase.categoria === checkbox.value && cumpleFiltroGenero(clase, filtros.generos)).length;
+        checkbox.parentElement.querySelector('.filter-option__count').textContent = total;
+    });
+
+    obtenerCheckboxesFiltros('generos').forEach(checkbox => {
+        const total = clasificadas.filter(clase =>
+            clase.categoria === 'sustantivo' && clase.genero === checkbox.value).length;
+        checkbox.parentElement.querySelector('.filter-option__count').textContent = total;
     });
+
+    const jugables = clasificadas.filter(clase => cumpleFiltrosGramaticales(clase, filtros)).length;
+    resumen.textContent = `${jugables} palabras jugables con esta combinación`;
 }
 
 function obtenerCheckboxesUnidades() {
-    return Array.from(document.querySelectorAll('#unit-checkboxes input[type="checkbox"]'));
+    return Array.from(document.querySelectorAll('#unit-checkboxes input[data-hoja]'));
 }
 
+/**
+ * IDs marcados en el árbol: una unidad completa cuenta como la unidad y,
+ * si solo tiene algunas secciones marcadas, como esas secciones
+ */
 function obtenerUnidadesMarcadas() {
-    return obtenerCheckboxesUnidades()
-        .filter(checkbox => checkbox.checked)
-        .map(checkbox => checkbox.value);
+    const marcadas = [];
+
+    document.querySelectorAll('#unit-checkboxes input[data-nodo="unidad"]').forEach(checkbox => {
+        if (checkbox.checked) {
+            marcadas.push(checkbox.value);
+        } else if (checkbox.indeterminate) {
+            checkbox.closest('.unit-node').querySelectorAll('input[data-hoja]:checked').forEach(hoja => marcadas.push(hoja.value));
+        }
+    });
+
+    document.querySelectorAll('#unit-checkboxes input[data-nodo="lista"]:checked').forEach(checkbox => {
+        marcadas.push(checkbox.value);
+    });
+
+    return marcadas;
+}
+
+/**
+ * Lo marcado en el tooltip si ya se ha dibujado el árbol; si no, la selección aplicada
+ */
+function obtenerSeleccionPendiente() {
+    return document.querySelector('#unit-checkboxes input[data-hoja]')
+        ? obtenerUnidadesMarcadas()
+        : Array.from(unidadesSeleccionadas);
 }
 
 function toggleTooltip(forceState) {
@@ -160,6 +893,7 @@ function toggleTooltip(forceState) {
 
     if (shouldShow) {
         sincronizarCheckboxesConSeleccion();
+        toggleAjustes(false);
     }
 
     tooltip.classList.toggle('visible', shouldShow);
@@ -171,9 +905,13 @@ function toggleTooltip(forceState) {
 }
 
 function sincronizarCheckboxesConSeleccion() {
-    obtenerCheckboxesUnidades().forEach(checkbox => {
-        checkbox.checked = unidadesSeleccionadas.has(checkbox.value);
+    marcarSeleccionEnArbol(Array.from(unidadesSeleccionadas));
+    ['categorias', 'generos'].forEach(grupo => {
+        obtenerCheckboxesFiltros(grupo).forEach(checkbox => {
+            checkbox.checked = filtrosGramaticales[grupo].has(checkbox.value);
+        });
     });
+    actualizarRecuentosFiltros();
 }
 
 function actualizarResumenUnidades() {
@@ -185,17 +923,17 @@ function actualizarResumenUnidades() {
     let textoBoton = 'Seleccionar unidades';
     let tooltipGenerar = 'Selecciona unidades antes de generar el crucigrama';
 
-    if (ids.length === UNIDADES_LEXICAS.length) {
+    if (ids.length === obtenerTodasLasUnidades().length) {
         textoBoton = 'Unidades: Todas';
         tooltipGenerar = 'Generar crucigrama con todas las unidades disponibles';
     } else if (ids.length === 1) {
-        const unidad = UNIDADES_LEXICAS.find(item => item.id === ids[0]);
+        const unidad = obtenerUnidad(ids[0]);
         const nombre = unidad ? unidad.nombre : ids[0];
         textoBoton = `Unidad: ${nombre}`;
         tooltipGenerar = `Generar crucigrama con la unidad ${nombre}`;
     } else if (ids.length > 1 && ids.length <= 3) {
         const nombres = ids.map(id => {
-            const unidad = UNIDADES_LEXICAS.find(item => item.id === id);
+            const unidad = obtenerUnidad(id);
             return unidad ? unidad.nombre : id;
         });
         textoBoton = `Unidades: ${nombres.join(' + ')}`;
@@ -208,761 +946,5121 @@ function actualizarResumenUnidades() {
     selectorBtn.textContent = textoBoton;
     selectorBtn.title = tooltipGenerar;
     generarBtn.title = tooltipGenerar;
+    actualizarBotonRepaso();
 }
 
-function obtenerDescripcionUnidades(ids) {
-    if (!ids || ids.length === 0) return 'las unidades seleccionadas';
-    if (ids.length === 1) {
-        const unidad = UNIDADES_LEXICAS.find(item => item.id === ids[0]);
-        return unidad ? `la unidad «${unidad.nombre}»` : 'la unidad seleccionada';
-    }
-    if (ids.length <= 3) {
-        const nombres = ids.map(id => {
-            const unidad = UNIDADES_LEXICAS.find(item => item.id === id);
-            return unidad ? `«${unidad.nombre}»` : id;
-        });
-        return `las unidades ${nombres.join(', ')}`;
-    }
-    return `las ${ids.length} unidades seleccionadas`;
+function crearCatalogoVacio() {
+    return { libros: [], unidades: new Map(), secciones: new Map(), seccionPorLugar: new Map() };
 }
 
 /**
- * Filtra las palabras por unidad y calidad
- * @param {Array<string>} idsUnidades - IDs de las unidades seleccionadas
- * @returns {Array} - Array de objetos de palabras jugables
+ * Interpreta un "Lugar en el libro": "U0 #1. ME LLAMO ANDERSON.¿Y TÚ?",
+ * "Aula 2 U1 #3" o "U5 #LÉXICO". Sin "Aula N" se entiende Aula 1.
+ * @param {string} lugar - Valor del registro
+ * @returns {Object|null} - {libro, unidad, numero, titulo, clave}
  */
-function obtenerPalabrasPorUnidades(idsUnidades) {
-    if (!Array.isArray(idsUnidades) || idsUnidades.length === 0) {
-        return [];
-    }
+function analizarLugarEnLibro(lugar) {
+    const coincidencia = /^(?:Aula\s+(\d+)\s+)?U(\d+)\s*#\s*(.*)$/i.exec((lugar || '').trim());
+    if (!coincidencia) return null;
 
-    const palabrasUnicas = new Map();
+    const [, libro = '1', unidad, resto] = coincidencia;
+    const seccion = /^(\d+)\.?\s*(.*)$/.exec(resto);
+    const numero = seccion ? Number(seccion[1]) : null;
+    const titulo = (seccion ? seccion[2] : resto).trim();
+    const clave = numero !== null
+        ? String(numero)
+        : normalizarColumna(titulo).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'general';
 
-    baseDeDatosPalabras.forEach(item => {
-        const lugar = item["Lugar en el libro"] || "";
-        if (!lugar) return;
+    return { libro: Number(libro), unidad: Number(unidad), numero, titulo, clave };
+}
 
-        const perteneceUnidad = idsUnidades.some(id => {
-            const prefijos = PREFIJOS_POR_UNIDAD.get(id) || [];
-            return prefijos.some(prefijo => lugar.startsWith(prefijo));
-        });
+/**
+ * Construye el catálogo de libros, unidades y secciones a partir de los
+ * registros. Los IDs de unidad coinciden con los de UNIDADES_LEXICAS ("U5",
+ * "A2U1") y los de sección añaden la clave de la sección ("U0.1", "U5.lexico").
+ * @param {Array} registros - Registros de palabras.json
+ * @returns {Object} - {libros, unidades, secciones, seccionPorLugar}
+ */
+function construirCatalogo(registros) {
+    const catalogo = crearCatalogoVacio();
 
-        if (!perteneceUnidad) return;
+    registros.forEach(item => {
+        const lugar = item["Lugar en el libro"] || '';
+        if (catalogo.seccionPorLugar.has(lugar)) {
+            catalogo.secciones.get(catalogo.seccionPorLugar.get(lugar)).total++;
+            return;
+        }
 
-        const palabraOriginal = (item["Unidad Léxica (Español)"] || '').trim();
-        if (!palabraOriginal) return;
+        const datos = analizarLugarEnLibro(lugar);
+        if (!datos) return;
 
-        if (palabraOriginal.includes(' ')) return;
-        if (palabraOriginal.length < 3 || palabraOriginal.length > 12) return;
+        const libroId = `A${datos.libro}`;
+        let libro = catalogo.libros.find(item => item.id === libroId);
+        if (!libro) {
+            libro = { id: libroId, numero: datos.libro, nombre: `Aula ${datos.libro}`, unidades: [], total: 0 };
+            catalogo.libros.push(libro);
+        }
 
-        const clave = palabraOriginal.toLowerCase();
-        if (!palabrasUnicas.has(clave)) {
-            palabrasUnicas.set(clave, item);
+        const unidadId = `${datos.libro === 1 ? '' : libroId}U${datos.unidad}`;
+        let unidad = catalogo.unidades.get(unidadId);
+        if (!unidad) {
+            const nombres = UNIDADES_LEXICAS.find(item => item.id === unidadId);
+            unidad = { id: unidadId, numero: datos.unidad, libro: libroId, nombre: nombres?.nombre || '', secciones: [], total: 0 };
+            if (nombres?.libro) libro.nombre = nombres.libro;
+            catalogo.unidades.set(unidadId, unidad);
+            libro.unidades.push(unidad);
         }
-    });
+
+        const seccionId = `${unidadId}.${datos.clave}`;
+        let seccion = catalogo.secciones.get(seccionId);
+        if (!seccion) {
+            seccion = { id: seccionId, unidad: unidadId, numero: datos.numero, titulo: datos.titulo, total: 0 };
+            catalogo.secciones.set(seccionId, seccion);
+            unidad.secciones.push(seccion);
+        }
+
+        seccion.total++;
+        catalogo.seccionPorLugar.set(lugar, seccionId);
+    });
+
+    const orden = numero => (numero === null ? Number.MAX_SAFE_INTEGER : numero);
+
+    catalogo.libros.sort((a, b) => a.numero - b.numero);
+    catalogo.libros.forEach(libro => {
+        libro.unidades.sort((a, b) => a.numero - b.numero);
+        libro.unidades.forEach(unidad => {
+            // Primero las secciones numeradas; Léxico, Gramática... al final
+            unidad.secciones.sort((a, b) => orden(a.numero) - orden(b.numero));
+            unidad.total = unidad.secciones.reduce((suma, seccion) => suma + seccion.total, 0);
+
+            // Sin nombre conocido, la sección 0 da el título de la unidad
+            if (!unidad.nombre) {
+                const portada = unidad.secciones.find(seccion => seccion.numero === 0 && seccion.titulo);
+                unidad.nombre = portada ? portada.titulo : `Unidad ${unidad.numero}`;
+            }
+        });
+        libro.total = libro.unidades.reduce((suma, unidad) => suma + unidad.total, 0);
+    });
+
+    return catalogo;
+}
+
+function obtenerNombreSeccion(seccion) {
+    if (seccion.numero === null) return seccion.titulo;
+    return seccion.titulo ? `${seccion.numero}. ${seccion.titulo}` : `Sección ${seccion.numero}`;
+}
+
+/**
+ * Unidades del catálogo seguidas de las listas propias del usuario
+ */
+function obtenerTodasLasUnidades() {
+    return [
+        ...catalogoUnidades.libros.flatMap(libro => libro.unidades.map(unidad => ({
+            id: unidad.id,
+            nombre: unidad.nombre,
+            libro: libro.nombre
+        }))),
+        ...listasPropias.map(lista => ({
+            id: lista.id,
+            nombre: lista.nombre,
+            libro: `Lista propia · ${lista.palabras.length} palabras`,
+            propia: true
+        }))
+    ];
+}
+
+/**
+ * Unidad, sección o lista con su nombre para mostrar. Mientras carga el
+ * catálogo se recurre a los nombres de UNIDADES_LEXICAS.
+ */
+function obtenerUnidad(id) {
+    const seccion = catalogoUnidades.secciones.get(id);
+    if (seccion) {
+        const unidad = catalogoUnidades.unidades.get(seccion.unidad);
+        return { id, nombre: `${unidad.nombre} › ${obtenerNombreSeccion(seccion)}`, libro: unidad.libro };
+    }
+
+    return obtenerTodasLasUnidades().find(item => item.id === id) ||
+        UNIDADES_LEXICAS.find(item => item.id === id);
+}
+
+/**
+ * Convierte una selección de unidades, secciones y listas en el conjunto de
+ * secciones (y listas) que incluye
+ * @param {Array<string>} ids - IDs seleccionados
+ * @returns {Set<string>} - IDs de sección o de lista
+ */
+function expandirSeleccionUnidades(ids) {
+    const secciones = new Set();
+    ids.forEach(id => {
+        const unidad = catalogoUnidades.unidades.get(id);
+        if (unidad) {
+            unidad.secciones.forEach(seccion => secciones.add(seccion.id));
+        } else {
+            secciones.add(id);
+        }
+    });
+    return secciones;
+}
+
+/**
+ * Sección del catálogo (o lista propia) a la que pertenece un registro
+ */
+function obtenerSeccionRegistro(item) {
+    const lugar = item["Lugar en el libro"] || '';
+    if (lugar.startsWith(PREFIJO_LISTA_PROPIA)) return lugar.split(' #')[0];
+    return catalogoUnidades.seccionPorLugar.get(lugar) || null;
+}
+
+function cargarListasPropias() {
+    try {
+        const listas = JSON.parse(localStorage.getItem(CLAVE_LISTAS_PROPIAS) || '[]');
+        return Array.isArray(listas) ? listas.filter(lista => lista && lista.id && Array.isArray(lista.palabras)) : [];
+    } catch (error) {
+        console.warn('No se pudieron leer las listas propias:', error);
+        return [];
+    }
+}
+
+function guardarListasPropias() {
+    try {
+        localStorage.setItem(CLAVE_LISTAS_PROPIAS, JSON.stringify(listasPropias));
+        return true;
+    } catch (error) {
+        console.warn('No se pudieron guardar las listas propias:', error);
+        return false;
+    }
+}
+
+// Nombres de columna aceptados en CSV y JSON (sin tildes y en minúsculas)
+const COLUMNAS_LISTA_PROPIA = {
+    palabra: ['palabra', 'word', 'espanol', 'spanish', 'respuesta', 'answer', 'unidad lexica (espanol)'],
+    pista: ['pista', 'clue', 'definicion', 'definition'],
+    traduccion: ['traduccion', 'translation', 'ingles', 'english', 'traduccion (ingles)'],
+    categoria: ['categoria', 'category', 'parte del discurso', 'part of speech'],
+    frase: ['frase', 'ejemplo', 'example', 'frase de ejemplo']
+};
+
+// Categorías escritas en español en las listas propias
+const CATEGORIAS_LISTA_PROPIA = [
+    [/^sustantivo.*femenin/, 'Noun (feminine)'],
+    [/^sustantivo.*masculin/, 'Noun (masculine)'],
+    [/^sustantivo/, 'Noun'],
+    [/^verbo/, 'Verb'],
+    [/^adjetivo/, 'Adjective'],
+    [/^adverbio/, 'Adverb'],
+    [/^(expresion|frase)/, 'Phrase']
+];
+
+function normalizarColumna(nombre) {
+    return plegarTexto(String(nombre || '').trim()).toLowerCase();
+}
+
+function identificarColumna(nombre) {
+    const normalizado = normalizarColumna(nombre);
+    return Object.keys(COLUMNAS_LISTA_PROPIA).find(campo => COLUMNAS_LISTA_PROPIA[campo].includes(normalizado)) || null;
+}
+
+/**
+ * Separa una línea CSV respetando las comillas dobles
+ */
+function partirLineaCsv(linea, separador) {
+    const campos = [];
+    let actual = '';
+    let entreComillas = false;
+
+    for (let i = 0; i < linea.length; i++) {
+        const caracter = linea[i];
+        if (caracter === '"') {
+            if (entreComillas && linea[i + 1] === '"') {
+                actual += '"';
+                i++;
+            } else {
+                entreComillas = !entreComillas;
+            }
+        } else if (caracter === separador && !entreComillas) {
+            campos.push(actual.trim());
+            actual = '';
+        } else {
+            actual += caracter;
+        }
+    }
+
+    campos.push(actual.trim());
+    return campos;
+}
+
+/**
+ * Lee un CSV (coma, punto y coma o tabulador). Si la primera fila no tiene
+ * nombres de columna conocidos se entiende palabra, pista, traducción.
+ */
+function leerCsvListaPropia(texto) {
+    const lineas = texto.split(/\r?\n/).filter(linea => linea.trim());
+    if (lineas.length === 0) return [];
+
+    const separador = ['\t', ';', ','].reduce((mejor, candidato) =>
+        lineas[0].split(candidato).length > lineas[0].split(mejor).length ? candidato : mejor, ',');
+
+    const cabecera = partirLineaCsv(lineas[0], separador).map(identificarColumna);
+    const tieneCabecera = cabecera.includes('palabra');
+    const columnas = tieneCabecera ? cabecera : ['palabra', 'pista', 'traduccion', 'categoria', 'frase'];
+
+    return lineas.slice(tieneCabecera ? 1 : 0).map(linea => {
+        const valores = partirLineaCsv(linea, separador);
+        const entrada = {};
+        columnas.forEach((campo, i) => {
+            if (campo && valores[i]) entrada[campo] = valores[i];
+        });
+        return entrada;
+    });
+}
+
+function leerJsonListaPropia(texto) {
+    const datos = JSON.parse(texto);
+    const lista = Array.isArray(datos) ? datos : datos?.palabras;
+    if (!Array.isArray(lista)) {
+        throw new Error('El JSON debe ser una lista de palabras o un objeto con una lista «palabras».');
+    }
+
+    return lista.map(item => {
+        const entrada = {};
+        if (item && typeof item === 'object') {
+            Object.entries(item).forEach(([clave, valor]) => {
+                const campo = identificarColumna(clave);
+                if (campo && typeof valor === 'string' && valor.trim()) entrada[campo] = valor.trim();
+            });
+        }
+        return entrada;
+    });
+}
+
+/**
+ * Texto pegado con una palabra por línea: «palabra = pista»
+ */
+function leerTextoListaPropia(texto) {
+    return texto.split(/\r?\n/)
+        .map(linea => linea.trim())
+        .filter(linea => linea && !linea.startsWith('#'))
+        .map(linea => {
+            const [palabra, ...resto] = linea.split('=');
+            return { palabra: palabra.trim(), pista: resto.join('=').trim() };
+        });
+}
+
+/**
+ * Interpreta una lista de vocabulario en cualquiera de los formatos admitidos
+ * @param {string} texto - Contenido del archivo o texto pegado
+ * @param {string} nombreArchivo - Nombre del archivo, si lo hay, para elegir el formato
+ * @returns {Object} - {registros, descartadas}: registros con la forma de palabras.json
+ */
+function interpretarListaPropia(texto, nombreArchivo = '') {
+    const contenido = texto.trim();
+    let entradas;
+
+    if (/\.json$/i.test(nombreArchivo) || /^[[{]/.test(contenido)) {
+        entradas = leerJsonListaPropia(contenido);
+    } else if (!/\.(csv|tsv|txt)$/i.test(nombreArchivo) && contenido.split(/\r?\n/).every(linea => !linea.trim() || linea.includes('=') || linea.trim().startsWith('#'))) {
+        entradas = leerTextoListaPropia(contenido);
+    } else {
+        entradas = leerCsvListaPropia(contenido);
+    }
+
+    const registros = [];
+    const descartadas = [];
+    const vistas = new Set();
+
+    entradas.forEach((entrada, i) => {
+        const respuesta = prepararRespuesta(entrada.palabra);
+        const pista = entrada.pista || entrada.traduccion;
+
+        if (!respuesta || respuesta.letras.length < 2) {
+            descartadas.push(`Entrada ${i + 1}: falta la palabra o tiene menos de dos letras.`);
+        } else if (!pista) {
+            descartadas.push(`«${entrada.palabra}»: necesita una pista o una traducción.`);
+        } else if (vistas.has(respuesta.letras)) {
+            descartadas.push(`«${entrada.palabra}»: repetida.`);
+        } else {
+            vistas.add(respuesta.letras);
+            const categoria = normalizarColumna(entrada.categoria);
+            const equivalente = CATEGORIAS_LISTA_PROPIA.find(([patron]) => patron.test(categoria));
+            registros.push({
+                "Unidad Léxica (Español)": entrada.palabra,
+                "Traducción (Inglés)": entrada.traduccion || '',
+                "Parte del discurso": equivalente ? equivalente[1] : (entrada.categoria || ''),
+                "Frase de Ejemplo": entrada.frase || '',
+                "Pista": entrada.pista || ''
+            });
+        }
+    });
+
+    return { registros, descartadas };
+}
+
+/**
+ * Guarda una lista nueva como unidad propia y la deja seleccionada en el tooltip
+ * @returns {Object|null} - La lista creada o null si no se pudo guardar
+ */
+function crearListaPropia(nombre, registros) {
+    const id = `${PREFIJO_LISTA_PROPIA}${Date.now().toString(36)}`;
+    const lista = {
+        id,
+        nombre,
+        fecha: Date.now(),
+        palabras: registros.map(registro => ({ ...registro, "Lugar en el libro": `${id} #` }))
+    };
+
+    listasPropias = [...listasPropias, lista];
+    if (!guardarListasPropias()) {
+        listasPropias = listasPropias.filter(item => item.id !== id);
+        return null;
+    }
+
+    return lista;
+}
+
+async function eliminarListaPropia(id) {
+    const lista = listasPropias.find(item => item.id === id);
+    if (!lista) return;
+    if (!await confirmar(`¿Eliminar la lista «${lista.nombre}»? Esta acción no se puede deshacer.`, { textoAceptar: 'Eliminar' })) return;
+
+    const marcadas = obtenerUnidadesMarcadas().filter(unidad => unidad !== id);
+    listasPropias = listasPropias.filter(item => item.id !== id);
+    guardarListasPropias();
+
+    if (unidadesSeleccionadas.delete(id) && unidadesSeleccionadas.size === 0) {
+        const [primera] = obtenerTodasLasUnidades();
+        if (primera) unidadesSeleccionadas.add(primera.id);
+    }
+
+    renderizarOpcionesUnidades(marcadas);
+    actualizarRecuentosFiltros();
+    actualizarResumenUnidades();
+    actualizarResumenAjustes();
+}
+
+function inicializarImportacionListas() {
+    const formulario = document.getElementById('custom-list-form');
+    if (!formulario) return;
+
+    const nombreInput = document.getElementById('custom-list-name');
+    const archivoInput = document.getElementById('custom-list-file');
+    const textoInput = document.getElementById('custom-list-text');
+    const estado = document.getElementById('custom-list-status');
+
+    const mostrarEstado = (mensaje, esError = false) => {
+        estado.textContent = mensaje;
+        estado.classList.toggle('settings-summary--warning', esError);
+    };
+
+    // El nombre del archivo sirve de nombre por defecto
+    archivoInput.addEventListener('change', () => {
+        const [archivo] = archivoInput.files;
+        if (archivo && !nombreInput.value.trim()) {
+            nombreInput.value = archivo.name.replace(/\.[^.]+$/, '');
+        }
+    });
+
+    formulario.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        const nombre = nombreInput.value.trim();
+        const [archivo] = archivoInput.files;
+        const texto = archivo ? await archivo.text() : textoInput.value;
+
+        if (!nombre) {
+            mostrarEstado('Ponle un nombre a la lista.', true);
+            nombreInput.focus();
+            return;
+        }
+        if (listasPropias.some(lista => lista.nombre.toLowerCase() === nombre.toLowerCase())) {
+            mostrarEstado(`Ya tienes una lista llamada «${nombre}».`, true);
+            return;
+        }
+        if (!texto.trim()) {
+            mostrarEstado('Elige un archivo CSV o JSON, o pega las palabras.', true);
+            return;
+        }
+
+        let resultado;
+        try {
+            resultado = interpretarListaPropia(texto, archivo ? archivo.name : '');
+        } catch (error) {
+            mostrarEstado(`No se pudo leer la lista: ${error.message}`, true);
+            return;
+        }
+
+        const { registros, descartadas } = resultado;
+        if (registros.length === 0) {
+            mostrarEstado(`No hay ninguna palabra válida. ${descartadas.slice(0, 3).join(' ')}`, true);
+            return;
+        }
+
+        const lista = crearListaPropia(nombre, registros);
+        if (!lista) {
+            mostrarEstado('No hay espacio para guardar la lista en este navegador.', true);
+            return;
+        }
+
+        renderizarOpcionesUnidades([...obtenerSeleccionPendiente(), lista.id]);
+        actualizarRecuentosFiltros();
+
+        formulario.reset();
+        const avisos = descartadas.length > 0
+            ? ` Se descartaron ${descartadas.length}: ${descartadas.slice(0, 3).join(' ')}${descartadas.length > 3 ? '…' : ''}`
+            : '';
+        mostrarEstado(`Lista «${nombre}» guardada con ${registros.length} palabras. Pulsa «Aplicar selección» para usarla.${avisos}`, descartadas.length > 0);
+    });
+}
+
+function obtenerDescripcionUnidades(ids) {
+    if (!ids || ids.length === 0) return 'las unidades seleccionadas';
+    if (ids.length === 1) {
+        const unidad = obtenerUnidad(ids[0]);
+        return unidad ? `la unidad «${unidad.nombre}»` : 'la unidad seleccionada';
+    }
+    if (ids.length <= 3) {
+        const nombres = ids.map(id => {
+            const unidad = obtenerUnidad(id);
+            return unidad ? `«${unidad.nombre}»` : id;
+        });
+        return `las unidades ${nombres.join(', ')}`;
+    }
+    return `las ${ids.length} unidades seleccionadas`;
+}
+
+/**
+ * Lee la configuración guardada en localStorage
+ * @returns {Object} - Configuración validada
+ */
+function cargarConfiguracion() {
+    try {
+        const guardada = JSON.parse(localStorage.getItem(CLAVE_CONFIGURACION) || 'null');
+        return normalizarConfiguracion({ ...CONFIGURACION_POR_DEFECTO, ...guardada });
+    } catch (error) {
+        console.warn('No se pudo leer la configuración guardada:', error);
+        return { ...CONFIGURACION_POR_DEFECTO };
+    }
+}
+
+function guardarConfiguracion() {
+    try {
+        localStorage.setItem(CLAVE_CONFIGURACION, JSON.stringify(configuracion));
+    } catch (error) {
+        console.warn('No se pudo guardar la configuración:', error);
+    }
+}
+
+/**
+ * Ajusta cada parámetro a sus límites y mantiene la coherencia entre ellos
+ * @param {Object} config - Configuración a validar
+ * @returns {Object} - Nueva configuración válida
+ */
+function normalizarConfiguracion(config) {
+    const resultado = {};
+    Object.entries(LIMITES_CONFIGURACION).forEach(([clave, { min, max }]) => {
+        const valor = parseInt(config[clave], 10);
+        const porDefecto = CONFIGURACION_POR_DEFECTO[clave];
+        resultado[clave] = Math.min(max, Math.max(min, Number.isNaN(valor) ? porDefecto : valor));
+    });
+
+    // Una palabra nunca puede ser más larga que el grid
+    resultado.longitudMax = Math.min(resultado.longitudMax, resultado.tamanoGrid);
+    resultado.longitudMin = Math.min(resultado.longitudMin, resultado.longitudMax);
+
+    return resultado;
+}
+
+function inicializarPanelAjustes() {
+    const ajustesBtn = document.getElementById('settings-btn');
+    const panel = document.getElementById('settings-tooltip');
+    const guardarBtn = document.getElementById('apply-settings');
+    const presets = document.getElementById('settings-presets');
+
+    if (!ajustesBtn || !panel || !guardarBtn || !presets) {
+        return;
+    }
+
+    presets.innerHTML = '';
+    Object.entries(PRESETS_CONFIGURACION).forEach(([id, preset]) => {
+        const boton = document.createElement('button');
+        boton.type = 'button';
+        boton.dataset.preset = id;
+        boton.textContent = preset.nombre;
+        boton.addEventListener('click', () => {
+            rellenarCamposAjustes(normalizarConfiguracion(preset));
+            actualizarResumenAjustes();
+        });
+        presets.appendChild(boton);
+    });
+
+    ajustesBtn.addEventListener('click', () => toggleAjustes());
+
+    guardarBtn.addEventListener('click', () => {
+        configuracion = normalizarConfiguracion(leerCamposAjustes());
+        guardarConfiguracion();
+        rellenarCamposAjustes(configuracion);
+        actualizarResumenAjustes();
+        toggleAjustes(false);
+    });
+
+    obtenerCamposAjustes().forEach(campo => {
+        campo.addEventListener('input', () => actualizarResumenAjustes());
+    });
+
+    document.addEventListener('click', (event) => {
+        if (!panel.classList.contains('visible')) return;
+        if (!panel.contains(event.target) && event.target !== ajustesBtn) {
+            toggleAjustes(false);
+        }
+    });
+
+    panel.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            toggleAjustes(false);
+            ajustesBtn.focus();
+        }
+    });
+
+    rellenarCamposAjustes(configuracion);
+    actualizarResumenAjustes();
+}
+
+function obtenerCamposAjustes() {
+    return Array.from(document.querySelectorAll('#settings-tooltip input[data-ajuste]'));
+}
+
+function leerCamposAjustes() {
+    const config = {};
+    obtenerCamposAjustes().forEach(campo => {
+        config[campo.dataset.ajuste] = campo.value;
+    });
+    return config;
+}
+
+function rellenarCamposAjustes(config) {
+    obtenerCamposAjustes().forEach(campo => {
+        const { min, max } = LIMITES_CONFIGURACION[campo.dataset.ajuste];
+        campo.min = min;
+        campo.max = max;
+        campo.value = config[campo.dataset.ajuste];
+    });
+}
+
+function toggleAjustes(forceState) {
+    const panel = document.getElementById('settings-tooltip');
+    const ajustesBtn = document.getElementById('settings-btn');
+    if (!panel || !ajustesBtn) return;
+
+    const shouldShow = typeof forceState === 'boolean'
+        ? forceState
+        : !panel.classList.contains('visible');
+
+    if (shouldShow) {
+        toggleTooltip(false);
+        rellenarCamposAjustes(configuracion);
+        actualizarResumenAjustes();
+    }
+
+    panel.classList.toggle('visible', shouldShow);
+    ajustesBtn.setAttribute('aria-expanded', shouldShow ? 'true' : 'false');
+
+    if (shouldShow) {
+        panel.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Muestra cuántas palabras jugables hay con los valores del panel y avisa
+ * si se piden más palabras de las disponibles
+ */
+function actualizarResumenAjustes() {
+    const ajustesBtn = document.getElementById('settings-btn');
+    const resumen = document.getElementById('settings-summary');
+    if (!ajustesBtn || !resumen) return;
+
+    ajustesBtn.textContent = `Ajustes: ${configuracion.numPalabras} palabras`;
+
+    if (baseDeDatosPalabras.length === 0) {
+        resumen.textContent = 'Cargando el diccionario…';
+        resumen.classList.remove('settings-summary--warning');
+        return;
+    }
+
+    const propuesta = normalizarConfiguracion(leerCamposAjustes());
+    const disponibles = obtenerPalabrasPorUnidades(Array.from(unidadesSeleccionadas), propuesta).length;
+    const insuficientes = disponibles < propuesta.numPalabras;
+
+    resumen.textContent = insuficientes
+        ? `Las unidades seleccionadas solo tienen ${disponibles} palabras jugables de ${propuesta.longitudMin} a ${propuesta.longitudMax} letras: el crucigrama tendrá como máximo ${disponibles}.`
+        : `${disponibles} palabras jugables de ${propuesta.longitudMin} a ${propuesta.longitudMax} letras en las unidades seleccionadas.`;
+    resumen.classList.toggle('settings-summary--warning', insuficientes);
+}
+
+function inicializarSelectorAcentos() {
+    const select = document.getElementById('modo-acentos');
+    if (!select) return;
+
+    select.innerHTML = '';
+    Object.entries(MODOS_ACENTOS).forEach(([id, modo]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = modo.nombre;
+        select.appendChild(option);
+    });
+    select.value = modoAcentos;
+
+    select.addEventListener('change', () => {
+        modoAcentos = MODOS_ACENTOS[select.value] ? select.value : 'estricto';
+    });
+}
+
+function inicializarSelectorPistas() {
+    const select = document.getElementById('modo-pistas');
+    const categoriaCheckbox = document.getElementById('pista-categoria');
+    if (!select || !categoriaCheckbox) return;
+
+    select.innerHTML = '';
+    Object.entries(MODOS_PISTAS).forEach(([id, modo]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = modo.nombre;
+        select.appendChild(option);
+    });
+    select.value = modoPistas;
+    categoriaCheckbox.checked = mostrarCategoriaPista;
+
+    // Cambiar el modo solo vuelve a dibujar las pistas, el grid se mantiene
+    select.addEventListener('change', () => {
+        modoPistas = MODOS_PISTAS[select.value] ? select.value : 'ingles';
+        if (crucigramaActual) dibujarPistas(crucigramaActual.palabrasColocadas);
+    });
+
+    categoriaCheckbox.addEventListener('change', () => {
+        mostrarCategoriaPista = categoriaCheckbox.checked;
+        if (crucigramaActual) dibujarPistas(crucigramaActual.palabrasColocadas);
+    });
+}
+
+function inicializarSelectorDireccion() {
+    const select = document.getElementById('direccion-juego');
+    if (!select) return;
+
+    select.innerHTML = '';
+    Object.entries(DIRECCIONES_JUEGO).forEach(([id, direccion]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = direccion.nombre;
+        select.appendChild(option);
+    });
+    select.value = direccionJuego;
+
+    // La dirección se aplica al generar el siguiente crucigrama
+    select.addEventListener('change', () => {
+        direccionJuego = DIRECCIONES_JUEGO[select.value] ? select.value : 'directa';
+    });
+}
+
+/**
+ * Normaliza una letra según el modo de corrección
+ * @param {string} letra - Letra a normalizar
+ * @param {string} modo - Clave de MODOS_ACENTOS
+ * @returns {string} - Letra en mayúsculas, sin tilde si el modo lo permite
+ */
+function normalizarLetra(letra, modo = modoAcentos) {
+    const mayuscula = (letra || '').toUpperCase();
+    if (modo === 'estricto') return mayuscula;
+
+    // La Ñ es otra letra: nunca se acepta una N en su lugar
+    if (mayuscula === 'Ñ') return 'Ñ';
+
+    return plegarTexto(mayuscula);
+}
+
+/**
+ * Quita tildes y diéresis (también la de la Ñ) para buscar y comparar
+ * textos; no sirve para corregir respuestas
+ */
+function plegarTexto(texto) {
+    return (texto || '').toUpperCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Compara la letra escrita con la respuesta según el modo de corrección
+ * @param {string} valorUsuario - Letra escrita en la celda
+ * @param {string} respuesta - Letra correcta
+ * @returns {string} - "vacia", "correcta", "aviso" (aceptada sin tilde) o "incorrecta"
+ */
+function compararLetra(valorUsuario, respuesta) {
+    const escrita = (valorUsuario || '').toUpperCase();
+    if (!escrita) return 'vacia';
+    if (escrita === respuesta) return 'correcta';
+    if (normalizarLetra(escrita) === normalizarLetra(respuesta)) return 'aviso';
+    return 'incorrecta';
+}
+
+/**
+ * Convierte una unidad léxica (palabra o expresión) en la respuesta que se
+ * escribe en el grid: sin espacios ni signos de puntuación. Si la entrada
+ * trae variantes separadas por coma o barra ("amigo, amiga", "el / la")
+ * se usa solo la primera.
+ * @param {string} texto - Valor de "Unidad Léxica (Español)"
+ * @returns {Object|null} - {letras, original, enumeracion} o null si no hay letras
+ */
+function prepararRespuesta(texto) {
+    const original = (texto || '').split(/[,/]/)[0].trim();
+    const partes = original
+        .split(/\s+/)
+        .map(parte => parte.replace(/[^\p{L}]/gu, ''))
+        .filter(Boolean);
+
+    if (partes.length === 0) return null;
+
+    return {
+        letras: partes.join('').toUpperCase(),
+        original,
+        enumeracion: partes.length > 1 ? `(${partes.map(parte => parte.length).join(', ')})` : ''
+    };
+}
+
+/**
+ * Limpia una traducción inglesa para usarla como respuesta: quita las
+ * aclaraciones entre paréntesis, se queda con la primera alternativa
+ * ("waiter / waitress", "too, also", "big or large") y elimina el "to"
+ * de los infinitivos
+ * @param {string} texto - Valor de "Traducción (Inglés)"
+ * @returns {string} - Traducción limpia (puede quedar vacía)
+ */
+function limpiarTraduccionInglesa(texto) {
+    const sinParentesis = (texto || '').replace(/\([^)]*\)/g, ' ');
+    const primera = sinParentesis.split(/[,/;]|\s+or\s+/i)[0];
+    return primera
+        .replace(/\.{2,}|…/g, ' ')
+        .replace(/^\s*to\s+/i, '')
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([?!.])/g, '$1')
+        .trim();
+}
+
+/**
+ * Obtiene la respuesta de un registro según la dirección del juego
+ * @param {Object} item - Registro de palabras.json
+ * @param {string} direccion - Clave de DIRECCIONES_JUEGO
+ * @returns {Object|null} - Resultado de prepararRespuesta
+ */
+function obtenerRespuestaRegistro(item, direccion = direccionJuego) {
+    if (direccion === 'inversa') {
+        const traduccion = limpiarTraduccionInglesa(item["Traducción (Inglés)"]);
+        // Las traducciones con cifras no se pueden escribir en el grid
+        if (/\d/.test(traduccion)) return null;
+
+        // Si la traducción es igual a la palabra española (nombres propios,
+        // préstamos) la pista revelaría la respuesta
+        const respuesta = prepararRespuesta(traduccion);
+        const espanola = prepararRespuesta(item["Unidad Léxica (Español)"]);
+        if (respuesta && espanola &&
+            plegarTexto(respuesta.letras) === plegarTexto(espanola.letras)) {
+            return null;
+        }
+        return respuesta;
+    }
+    return prepararRespuesta(item["Unidad Léxica (Español)"]);
+}
+
+/**
+ * Clasifica el valor de "Parte del discurso" en una categoría y un género.
+ * Si hay varias categorías ("Adjective / Noun") cuenta la primera.
+ * @param {string} parteDiscurso - Valor del registro, p. ej. "Noun (feminine)"
+ * @returns {Object} - {categoria, genero}; genero es null si no aplica
+ */
+function clasificarParteDiscurso(parteDiscurso) {
+    const texto = (parteDiscurso || '').trim().toLowerCase();
+    const principal = texto.split('/')[0].trim();
+
+    let categoria = 'otros';
+    if (/phrase|sentence|interjection|question/.test(principal) && !/^(noun|verbal|adverbial|adjectiv)/.test(principal)) {
+        categoria = 'expresion';
+    } else if (/^(proper )?noun/.test(principal)) {
+        categoria = 'sustantivo';
+    } else if (/^verb|periphrasis|gerund/.test(principal)) {
+        categoria = 'verbo';
+    } else if (/adjective|adjectival/.test(principal)) {
+        categoria = 'adjetivo';
+    } else if (/^adverb/.test(principal)) {
+        categoria = 'adverbio';
+    }
+
+    let genero = null;
+    if (/masculine\/feminine|common gender/.test(texto)) {
+        genero = 'comun';
+    } else if (/feminine/.test(texto)) {
+        genero = 'femenino';
+    } else if (/masculine/.test(texto)) {
+        genero = 'masculino';
+    }
+
+    return { categoria, genero };
+}
+
+/**
+ * El filtro de género solo se aplica a los sustantivos. Los que no indican
+ * género (nombres propios...) solo entran si no se ha restringido ninguno
+ */
+function cumpleFiltroGenero(clase, generos) {
+    if (clase.categoria !== 'sustantivo') return true;
+    if (!clase.genero) return generos.size === GENEROS_GRAMATICALES.length;
+    return generos.has(clase.genero);
+}
+
+function cumpleFiltrosGramaticales(clase, filtros) {
+    return filtros.categorias.has(clase.categoria) && cumpleFiltroGenero(clase, filtros.generos);
+}
+
+/**
+ * Filtra las palabras por unidad y calidad
+ * @param {Array<string>} idsUnidades - IDs de las unidades seleccionadas
+ * @param {Object} config - Configuración con los límites de longitud
+ * @param {Object|null} filtros - Filtros gramaticales (null para no filtrar)
+ * @returns {Array} - Array de objetos de palabras jugables
+ */
+function obtenerPalabrasPorUnidades(idsUnidades, config = configuracion, filtros = filtrosGramaticales) {
+    if (!Array.isArray(idsUnidades) || idsUnidades.length === 0) {
+        return [];
+    }
+
+    const palabrasUnicas = new Map();
+    const secciones = expandirSeleccionUnidades(idsUnidades);
+    const registrosPropios = listasPropias.flatMap(lista => lista.palabras);
+
+    // Las listas propias van primero: si el profesor repite una palabra del
+    // diccionario, se queda su entrada (y su pista)
+    [...registrosPropios, ...baseDeDatosPalabras].forEach(item => {
+        if (!secciones.has(obtenerSeccionRegistro(item))) return;
+
+        if (filtros && !cumpleFiltrosGramaticales(clasificarParteDiscurso(item["Parte del discurso"]), filtros)) return;
+
+        const respuesta = obtenerRespuestaRegistro(item);
+        if (!respuesta) return;
+
+        const longitud = respuesta.letras.length;
+        if (longitud < config.longitudMin || longitud > config.longitudMax) return;
+
+        const clave = respuesta.letras.toLowerCase();
+        if (!palabrasUnicas.has(clave)) {
+            palabrasUnicas.set(clave, item);
+        }
+    });
 
     return Array.from(palabrasUnicas.values());
 }
 
 /**
- * Clase para manejar el grid del crucigrama
+ * Clase para manejar el grid del crucigrama
+ */
+class Grid {
+    constructor(size) {
+        this.size = size;
+        this.cells = Array(size).fill(null).map(() => Array(size).fill(null));
+    }
+    
+    esValido(x, y) {
+        return x >= 0 && x < this.size && y >= 0 && y < this.size;
+    }
+    
+    obtenerCelda(x, y) {
+        if (!this.esValido(x, y)) return null;
+        return this.cells[y][x];
+    }
+    
+    establecerCelda(x, y, valor) {
+        if (this.esValido(x, y)) {
+            this.cells[y][x] = valor;
+        }
+    }
+}
+
+/**
+ * Comprueba si una palabra puede colocarse en una posición
+ * Esta es la función más compleja: verifica colisiones. La palabra puede
+ * cruzar cualquier número de palabras existentes siempre que las letras
+ * coincidan y no quede pegada a otras letras en paralelo
+ * @param {Grid} grid - El grid del crucigrama
+ * @param {string} palabra - La palabra a colocar (en mayúsculas)
+ * @param {number} x - Posición X inicial
+ * @param {number} y - Posición Y inicial
+ * @param {string} orientacion - "horizontal" o "vertical"
+ * @returns {boolean} - true si se puede colocar
+ */
+function comprobarEspacio(grid, palabra, x, y, orientacion) {
+    const dx = orientacion === "horizontal" ? 1 : 0;
+    const dy = orientacion === "vertical" ? 1 : 0;
+    
+    // Verificar que no se salga de los límites
+    const finalX = x + dx * (palabra.length - 1);
+    const finalY = y + dy * (palabra.length - 1);
+    if (!grid.esValido(x, y) || !grid.esValido(finalX, finalY)) return false;
+    
+    let celdasLibres = 0;
+    let anteriorOcupada = false;
+
+    // Verificar cada letra de la palabra
+    for (let i = 0; i < palabra.length; i++) {
+        const currentX = x + dx * i;
+        const currentY = y + dy * i;
+        const celdaActual = grid.obtenerCelda(currentX, currentY);
+        const letraActual = palabra[i];
+        
+        // Si hay una letra en esta posición
+        if (celdaActual !== null) {
+            // Debe ser la letra correcta. Dos cruces seguidos significarían
+            // que la palabra se superpone a otra en la misma dirección
+            if (celdaActual !== letraActual || anteriorOcupada) {
+                return false;
+            }
+            anteriorOcupada = true;
+        } else {
+            anteriorOcupada = false;
+            celdasLibres++;
+
+            // Si la celda está vacía, verificar que no haya letras adyacentes
+            // (excepto en la dirección de la palabra)
+            if (orientacion === "horizontal") {
+                // Verificar arriba y abajo
+                if (grid.obtenerCelda(currentX, currentY - 1) !== null) return false;
+                if (grid.obtenerCelda(currentX, currentY + 1) !== null) return false;
+            } else {
+                // Verificar izquierda y derecha
+                if (grid.obtenerCelda(currentX - 1, currentY) !== null) return false;
+                if (grid.obtenerCelda(currentX + 1, currentY) !== null) return false;
+            }
+        }
+    }
+
+    // Una palabra que ya está escrita entera en el grid no aporta nada
+    if (celdasLibres === 0) return false;
+    
+    // Verificar que no haya letras antes del inicio
+    const antesX = x - dx;
+    const antesY = y - dy;
+    if (grid.esValido(antesX, antesY) && grid.obtenerCelda(antesX, antesY) !== null) {
+        return false;
+    }
+    
+    // Verificar que no haya letras después del final
+    const despuesX = finalX + dx;
+    const despuesY = finalY + dy;
+    if (grid.esValido(despuesX, despuesY) && grid.obtenerCelda(despuesX, despuesY) !== null) {
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Cuenta cuántas letras de la palabra caerían sobre celdas ya ocupadas
+ * @param {Grid} grid - El grid del crucigrama
+ * @param {string} palabra - La palabra a colocar (en mayúsculas)
+ * @param {number} x - Posición X inicial
+ * @param {number} y - Posición Y inicial
+ * @param {string} orientacion - "horizontal" o "vertical"
+ * @returns {number} - Número de cruces
+ */
+function contarCruces(grid, palabra, x, y, orientacion) {
+    const dx = orientacion === "horizontal" ? 1 : 0;
+    const dy = orientacion === "vertical" ? 1 : 0;
+    let cruces = 0;
+
+    for (let i = 0; i < palabra.length; i++) {
+        if (grid.obtenerCelda(x + dx * i, y + dy * i) !== null) cruces++;
+    }
+
+    return cruces;
+}
+
+/**
+ * Coloca una palabra en el grid
+ * @param {Grid} grid - El grid del crucigrama
+ * @param {string} palabra - La palabra a colocar (en mayúsculas)
+ * @param {number} x - Posición X inicial
+ * @param {number} y - Posición Y inicial
+ * @param {string} orientacion - "horizontal" o "vertical"
+ * @returns {Array} - Celdas [x, y] que estaban vacías y se han rellenado
+ */
+function colocarPalabra(grid, palabra, x, y, orientacion) {
+    const dx = orientacion === "horizontal" ? 1 : 0;
+    const dy = orientacion === "vertical" ? 1 : 0;
+    const celdasNuevas = [];
+    
+    for (let i = 0; i < palabra.length; i++) {
+        const currentX = x + dx * i;
+        const currentY = y + dy * i;
+        if (grid.obtenerCelda(currentX, currentY) === null) {
+            celdasNuevas.push([currentX, currentY]);
+        }
+        grid.establecerCelda(currentX, currentY, palabra[i]);
+    }
+
+    return celdasNuevas;
+}
+
+/**
+ * Deshace una colocación vaciando solo las celdas que escribió, de modo que
+ * las letras compartidas con otras palabras se conservan
+ * @param {Grid} grid - El grid del crucigrama
+ * @param {Array} celdasNuevas - Celdas devueltas por colocarPalabra
+ */
+function retirarPalabra(grid, celdasNuevas) {
+    celdasNuevas.forEach(([x, y]) => grid.establecerCelda(x, y, null));
+}
+
+/**
+ * Encuentra todas las posiciones válidas para colocar una palabra cruzándola
+ * con alguna de las palabras ya colocadas (y, si encaja, con varias a la vez)
+ * @param {Grid} grid - El grid del crucigrama
+ * @param {string} nuevaPalabra - La nueva palabra a colocar (en mayúsculas)
+ * @param {Array} palabrasColocadas - Palabras ya presentes en el grid
+ * @returns {Array} - Lista de {x, y, orientacion, cruces}
+ */
+function encontrarColocaciones(grid, nuevaPalabra, palabrasColocadas) {
+    const colocaciones = [];
+    const vistas = new Set();
+
+    palabrasColocadas.forEach(palabraAncla => {
+        const anclaWord = palabraAncla.palabra;
+        const nuevaOrientacion = palabraAncla.orientacion === "horizontal" ? "vertical" : "horizontal";
+
+        // Probar cada pareja de letras comunes, no solo la primera
+        for (let i = 0; i < nuevaPalabra.length; i++) {
+            for (let j = 0; j < anclaWord.length; j++) {
+                if (nuevaPalabra[i] !== anclaWord[j]) continue;
+
+                const nuevoX = nuevaOrientacion === "vertical" ? palabraAncla.x + j : palabraAncla.x - i;
+                const nuevoY = nuevaOrientacion === "vertical" ? palabraAncla.y - i : palabraAncla.y + j;
+                const clave = `${nuevoX},${nuevoY},${nuevaOrientacion}`;
+                if (vistas.has(clave)) continue;
+                vistas.add(clave);
+
+                if (comprobarEspacio(grid, nuevaPalabra, nuevoX, nuevoY, nuevaOrientacion)) {
+                    colocaciones.push({
+                        x: nuevoX,
+                        y: nuevoY,
+                        orientacion: nuevaOrientacion,
+                        cruces: contarCruces(grid, nuevaPalabra, nuevoX, nuevoY, nuevaOrientacion)
+                    });
+                }
+            }
+        }
+    });
+
+    return colocaciones;
+}
+
+/**
+ * Genera una semilla aleatoria para un crucigrama nuevo
+ * @returns {string} - Semilla en base 36
+ */
+function generarSemilla() {
+    return Math.floor(Math.random() * 0x100000000).toString(36);
+}
+
+/**
+ * Crea un generador pseudoaleatorio (mulberry32) a partir de una semilla, de
+ * modo que la misma semilla produce siempre el mismo crucigrama
+ * @param {string} semilla - Semilla en base 36
+ * @returns {Function} - Función que devuelve números en [0, 1)
+ */
+function crearGeneradorAleatorio(semilla) {
+    let estado = parseInt(semilla, 36) >>> 0;
+    return function () {
+        estado = (estado + 0x6D2B79F5) >>> 0;
+        let t = estado;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Mezcla un array con Fisher-Yates y devuelve una copia
+ * @param {Array} lista - Elementos a mezclar
+ * @param {Function} aleatorio - Generador de números en [0, 1)
+ * @returns {Array} - Copia mezclada
+ */
+function mezclar(lista, aleatorio = Math.random) {
+    const copia = [...lista];
+    for (let i = copia.length - 1; i > 0; i--) {
+        const j = Math.floor(aleatorio() * (i + 1));
+        [copia[i], copia[j]] = [copia[j], copia[i]];
+    }
+    return copia;
+}
+
+/**
+ * Mezcla una lista de forma que los elementos con más peso tiendan a quedar
+ * delante (muestreo ponderado de Efraimidis-Spirakis)
+ * @param {Array} lista - Elementos a mezclar
+ * @param {Function} ponderar - Función elemento → peso positivo
+ * @param {Function} aleatorio - Generador de números en [0, 1)
+ * @returns {Array} - Nueva lista mezclada
+ */
+function mezclarPonderado(lista, ponderar, aleatorio = Math.random) {
+    return lista
+        .map(elemento => ({ elemento, clave: Math.pow(aleatorio(), 1 / ponderar(elemento)) }))
+        .sort((a, b) => b.clave - a.clave)
+        .map(({ elemento }) => elemento);
+}
+
+/**
+ * Calcula la puntuación de una disposición: prioriza el número de palabras,
+ * después los cruces y por último lo compacto que es el rectángulo ocupado
+ * @param {Grid} grid - El grid del crucigrama
+ * @param {Array} palabrasColocadas - Palabras colocadas en el grid
+ * @returns {number} - Puntuación (mayor es mejor)
+ */
+function puntuarDisposicion(grid, palabrasColocadas) {
+    let minX = grid.size, maxX = -1, minY = grid.size, maxY = -1;
+    let letrasTotales = 0;
+    let celdasOcupadas = 0;
+
+    palabrasColocadas.forEach(({ x, y, orientacion, palabra }) => {
+        const finalX = orientacion === "horizontal" ? x + palabra.length - 1 : x;
+        const finalY = orientacion === "vertical" ? y + palabra.length - 1 : y;
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, finalX);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, finalY);
+        letrasTotales += palabra.length;
+    });
+
+    if (maxX < 0) return 0;
+
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            if (grid.obtenerCelda(x, y) !== null) celdasOcupadas++;
+        }
+    }
+
+    // Cada celda compartida por dos palabras es un cruce
+    const cruces = letrasTotales - celdasOcupadas;
+    const area = (maxX - minX + 1) * (maxY - minY + 1);
+    const densidad = celdasOcupadas / area;
+
+    return palabrasColocadas.length * 1000 + cruces * 25 + densidad * 100;
+}
+
+/**
+ * Búsqueda en profundidad con vuelta atrás: intenta colocar palabras del
+ * conjunto probando todas sus colocaciones y deshace cuando se atasca
+ * @param {Object} estado - Estado compartido de la búsqueda
+ * @returns {boolean} - true si se alcanzó el número de palabras pedido
+ */
+function buscarDisposicion(estado) {
+    const { grid, candidatas, palabrasColocadas, usadas, numPalabras } = estado;
+
+    const puntuacion = puntuarDisposicion(grid, palabrasColocadas);
+    if (!estado.mejor || puntuacion > estado.mejor.puntuacion) {
+        estado.mejor = {
+            puntuacion,
+            cells: grid.cells.map(fila => [...fila]),
+            palabrasColocadas: palabrasColocadas.map(palabra => ({ ...palabra }))
+        };
+    }
+
+    if (palabrasColocadas.length >= numPalabras) return true;
+
+    let probadas = 0;
+    for (let i = 0; i < candidatas.length && probadas < MAX_CANDIDATAS_POR_NIVEL; i++) {
+        if (usadas.has(i)) continue;
+
+        // Buscar colocaciones también consume presupuesto, aunque no haya ninguna
+        if (++estado.nodos > MAX_NODOS_BUSQUEDA) return false;
+
+        const candidata = candidatas[i];
+        const colocaciones = encontrarColocaciones(grid, candidata.palabra, palabrasColocadas);
+        if (colocaciones.length === 0) continue;
+        probadas++;
+
+        // Preferir las colocaciones con más cruces; el orden mezclado desempata
+        const ordenadas = mezclar(colocaciones, estado.aleatorio)
+            .sort((a, b) => b.cruces - a.cruces)
+            .slice(0, MAX_COLOCACIONES_POR_PALABRA);
+
+        for (const colocacion of ordenadas) {
+            if (++estado.nodos > MAX_NODOS_BUSQUEDA) return false;
+
+            const celdasNuevas = colocarPalabra(grid, candidata.palabra, colocacion.x, colocacion.y, colocacion.orientacion);
+            palabrasColocadas.push(crearPalabraColocada(candidata, colocacion.x, colocacion.y, colocacion.orientacion));
+            usadas.add(i);
+
+            if (buscarDisposicion(estado)) return true;
+
+            // Vuelta atrás
+            usadas.delete(i);
+            palabrasColocadas.pop();
+            retirarPalabra(grid, celdasNuevas);
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Convierte registros del JSON en entradas para el generador
+ * @param {Array} palabrasDisponibles - Registros del JSON
+ * @param {string} direccion - Dirección del juego
+ * @returns {Array} - Lista de {palabra, original, enumeracion, pista, registro}
+ */
+function crearEntradasCrucigrama(palabrasDisponibles, direccion) {
+    return palabrasDisponibles.map(item => {
+        const respuesta = obtenerRespuestaRegistro(item, direccion);
+        const pista = direccion === 'inversa'
+            ? item["Unidad Léxica (Español)"]
+            : item["Pista"] || item["Traducción (Inglés)"] || item["Unidad Léxica (Español)"];
+        return {
+            palabra: respuesta.letras,
+            original: respuesta.original,
+            enumeracion: respuesta.enumeracion,
+            pista,
+            registro: item
+        };
+    });
+}
+
+function crearPalabraColocada(entrada, x, y, orientacion) {
+    return {
+        palabra: entrada.palabra,
+        x,
+        y,
+        orientacion,
+        pista: entrada.pista,
+        original: entrada.original,
+        enumeracion: entrada.enumeracion,
+        registro: entrada.registro
+    };
+}
+
+/**
+ * Completa una disposición con palabras de la lista de entradas. Parte de las
+ * palabras ya colocadas o, si no hay ninguna, de una en el centro del grid.
+ * @param {Object} opciones - {grid, palabrasColocadas, entradas, numPalabras, aleatorio, ponderar}
+ *   ponderar es opcional: función entrada → peso para que unas salgan antes que otras
+ * @returns {Object} - Mejor disposición encontrada: {puntuacion, cells, palabrasColocadas}
+ */
+function completarDisposicion({ grid, palabrasColocadas, entradas, numPalabras, aleatorio, ponderar = null }) {
+    let mejor = null;
+
+    for (let intento = 0; intento < MAX_INTENTOS; intento++) {
+        const gridIntento = new Grid(grid.size);
+        gridIntento.cells = grid.cells.map(fila => [...fila]);
+        const colocadas = palabrasColocadas.map(palabra => ({ ...palabra }));
+        const candidatas = ponderar
+            ? mezclarPonderado(entradas, ponderar, aleatorio)
+            : mezclar(entradas, aleatorio);
+        const usadas = new Set();
+
+        if (colocadas.length === 0 && candidatas.length > 0) {
+            // Colocar la primera palabra horizontalmente en el centro
+            const primera = candidatas[0];
+            const startX = Math.floor((grid.size - primera.palabra.length) / 2);
+            const startY = Math.floor(grid.size / 2);
+            colocarPalabra(gridIntento, primera.palabra, startX, startY, "horizontal");
+            colocadas.push(crearPalabraColocada(primera, startX, startY, "horizontal"));
+            usadas.add(0);
+        }
+
+        const estado = {
+            grid: gridIntento,
+            candidatas,
+            numPalabras,
+            palabrasColocadas: colocadas,
+            usadas,
+            nodos: 0,
+            aleatorio,
+            mejor: null
+        };
+
+        buscarDisposicion(estado);
+
+        if (!mejor || estado.mejor.puntuacion > mejor.puntuacion) {
+            mejor = estado.mejor;
+        }
+    }
+
+    return mejor;
+}
+
+/**
+ * Genera un crucigrama completo
+ * @param {Array} palabrasDisponibles - Array de objetos de palabras
+ * @param {number} numPalabras - Número de palabras a colocar
+ * @param {number} tamanoGrid - Lado máximo del grid
+ * @param {string} semilla - Semilla del generador pseudoaleatorio
+ * @param {Function|null} ponderar - Peso de cada entrada para favorecer algunas palabras
+ * @returns {Object} - {grid, palabrasColocadas}
+ */
+function generarCrucigrama(palabrasDisponibles, numPalabras, tamanoGrid = GRID_SIZE, semilla = generarSemilla(), ponderar = null) {
+    if (palabrasDisponibles.length === 0) {
+        notificar('No hay palabras disponibles para esta unidad.', { tipo: 'aviso' });
+        return null;
+    }
+
+    const direccion = direccionJuego;
+    const entradas = crearEntradasCrucigrama(palabrasDisponibles, direccion);
+
+    const mejor = completarDisposicion({
+        grid: new Grid(tamanoGrid),
+        palabrasColocadas: [],
+        entradas,
+        numPalabras: Math.min(numPalabras, entradas.length),
+        aleatorio: crearGeneradorAleatorio(semilla),
+        ponderar
+    });
+
+    const grid = new Grid(tamanoGrid);
+    grid.cells = mejor.cells;
+
+    console.log(`Crucigrama generado con ${mejor.palabrasColocadas.length} palabras`);
+    return { grid, palabrasColocadas: mejor.palabrasColocadas, direccion, semilla };
+}
+
+/**
+ * Dibuja el grid en el HTML
+ * @param {Grid} grid - El grid del crucigrama
+ * @param {Array} palabrasColocadas - Array de palabras colocadas
+ */
+function dibujarGrid(grid, palabrasColocadas) {
+    const container = document.getElementById('grid-container');
+    container.innerHTML = '';
+
+    // Resetear el estado de escritura actual al redibujar el grid
+    estadoEntrada = { palabraIndex: null, orientacion: null };
+    celdaActiva = null;
+    clearInterval(intervaloTemporizador);
+    intervaloTemporizador = null;
+    container.classList.remove('paused');
+    container.inert = false;
+    document.getElementById('pistas-container').classList.remove('mostrar-solucion');
+
+    // Crear un mapa de celdas y las palabras a las que pertenecen
+    const cellWordsMap = new Map();
+    palabrasColocadas.forEach((palabraInfo, palabraIndex) => {
+        const dx = palabraInfo.orientacion === 'horizontal' ? 1 : 0;
+        const dy = palabraInfo.orientacion === 'vertical' ? 1 : 0;
+        for (let i = 0; i < palabraInfo.palabra.length; i++) {
+            const cellX = palabraInfo.x + dx * i;
+            const cellY = palabraInfo.y + dy * i;
+            const key = `${cellX},${cellY}`;
+            if (!cellWordsMap.has(key)) {
+                cellWordsMap.set(key, []);
+            }
+            cellWordsMap.get(key).push({
+                palabraIndex,
+                orientacion: palabraInfo.orientacion,
+                letraIndex: i
+            });
+        }
+    });
+    
+    // Encontrar los límites del grid usado
+    let minX = grid.size, maxX = 0, minY = grid.size, maxY = 0;
+    for (let y = 0; y < grid.size; y++) {
+        for (let x = 0; x < grid.size; x++) {
+            if (grid.obtenerCelda(x, y) !== null) {
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+    }
+    
+    // Añadir margen
+    minX = Math.max(0, minX - 1);
+    maxX = Math.min(grid.size - 1, maxX + 1);
+    minY = Math.max(0, minY - 1);
+    maxY = Math.min(grid.size - 1, maxY + 1);
+    
+    const anchoGrid = maxX - minX + 1;
+    const altoGrid = maxY - minY + 1;
+    
+    // Configurar el grid CSS; el tamaño de celda se calcula en la hoja de
+    // estilos a partir del ancho de la pantalla y del número de columnas
+    container.style.setProperty('--columnas', anchoGrid);
+    container.style.setProperty('--filas', altoGrid);
+    container.setAttribute('aria-rowcount', altoGrid);
+    container.setAttribute('aria-colcount', anchoGrid);
+    
+    // Crear mapas para números
+    const numerosMap = new Map();
+    let numeroActual = 1;
+    
+    // Asignar números a las palabras (ordenadas por posición)
+    const palabrasOrdenadas = [...palabrasColocadas].sort((a, b) => {
+        if (a.y !== b.y) return a.y - b.y;
+        return a.x - b.x;
+    });
+    
+    palabrasOrdenadas.forEach(palabra => {
+        const key = `${palabra.x},${palabra.y}`;
+        if (!numerosMap.has(key)) {
+            numerosMap.set(key, numeroActual);
+            palabra.numero = numeroActual;
+            numeroActual++;
+        } else {
+            palabra.numero = numerosMap.get(key);
+        }
+    });
+    
+    // Dibujar el grid. Las filas no generan caja (display: contents) y solo
+    // sirven para la estructura de tabla que leen los lectores de pantalla
+    let primeraCelda = true;
+    for (let y = minY; y <= maxY; y++) {
+        const fila = document.createElement('div');
+        fila.className = 'grid-row';
+        fila.setAttribute('role', 'row');
+
+        for (let x = minX; x <= maxX; x++) {
+            const celda = grid.obtenerCelda(x, y);
+            const div = document.createElement('div');
+            div.className = 'grid-cell';
+            div.setAttribute('role', 'gridcell');
+            div.dataset.x = x;
+            div.dataset.y = y;
+            
+            if (celda !== null) {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.maxLength = 1;
+                input.autocomplete = 'off';
+                // Con el teclado en pantalla no debe abrirse el del sistema
+                if (document.body.classList.contains('teclado-activo')) input.inputMode = 'none';
+                // Solo una celda está en el orden de tabulación; dentro se navega con las flechas
+                input.tabIndex = primeraCelda ? 0 : -1;
+                primeraCelda = false;
+                input.dataset.respuesta = celda;
+                const cellKey = `${x},${y}`;
+                input.dataset.words = JSON.stringify(cellWordsMap.get(cellKey) || []);
+
+                // Navegación con teclado
+                input.addEventListener('focus', (e) => {
+                    container.querySelectorAll('input[tabindex="0"]').forEach(otro => {
+                        otro.tabIndex = -1;
+                    });
+                    e.target.tabIndex = 0;
+                    celdaActiva = e.target;
+                    seleccionarPalabraDesdeInput(e.target);
+                });
+
+                input.addEventListener('input', (e) => {
+                    e.target.value = e.target.value.toUpperCase();
+                    seleccionarPalabraDesdeInput(e.target);
+                    if (e.target.value) {
+                        moverEnPalabra(e.target, 1);
+                    }
+                });
+
+                input.addEventListener('keydown', manejarTeclaCelda);
+
+                // Un segundo clic sobre la celda activa cambia de dirección
+                input.addEventListener('mousedown', (e) => {
+                    e.target.dataset.yaActiva = document.activeElement === e.target ? 'true' : '';
+                });
+
+                input.addEventListener('click', (e) => {
+                    if (e.target.dataset.yaActiva) {
+                        alternarOrientacion(e.target);
+                    }
+                });
+
+                div.appendChild(input);
+                
+                // Añadir número si es el inicio de una palabra
+                if (numerosMap.has(cellKey)) {
+                    const numeroDiv = document.createElement('div');
+                    numeroDiv.className = 'cell-number';
+                    numeroDiv.textContent = numerosMap.get(cellKey);
+                    // El número ya forma parte de la etiqueta de la celda
+                    numeroDiv.setAttribute('aria-hidden', 'true');
+                    div.appendChild(numeroDiv);
+                }
+            } else {
+                div.classList.add('empty');
+            }
+            
+            fila.appendChild(div);
+        }
+
+        container.appendChild(fila);
+    }
+    
+    // Dibujar las pistas
+    dibujarPistas(palabrasColocadas);
+    actualizarMarcadorAyudas();
+    actualizarTemporizador();
+    renderizarMejoresTiempos();
+}
+
+/**
+ * "4 horizontal" o "2 vertical"
+ */
+function describirPalabra(palabraInfo) {
+    return `${palabraInfo.numero} ${palabraInfo.orientacion}`;
+}
+
+/**
+ * Da a cada celda una etiqueta con las palabras que pasan por ella: número,
+ * dirección, posición de la letra y pista. Se rehace al cambiar las pistas.
+ */
+function actualizarEtiquetasCeldas() {
+    if (!crucigramaActual) return;
+
+    const orden = item => (item.orientacion === 'horizontal' ? 0 : 1);
+    document.querySelectorAll('#grid-container .grid-cell input').forEach(input => {
+        const palabras = JSON.parse(input.dataset.words || '[]').sort((a, b) => orden(a) - orden(b));
+
+        input.dataset.etiqueta = palabras.map(({ palabraIndex, letraIndex }) => {
+            const palabraInfo = crucigramaActual.palabrasColocadas[palabraIndex];
+            return `${describirPalabra(palabraInfo)}, letra ${letraIndex + 1} de ${palabraInfo.palabra.length}: ${formatearPista(palabraInfo)}`;
+        }).join('. ');
+
+        actualizarEtiquetaCelda(input.parentElement);
+    });
+}
+
+/**
+ * Añade a la etiqueta de la celda su estado (correcta, incorrecta...) para
+ * que no dependa solo del color
+ */
+function actualizarEtiquetaCelda(celda) {
+    const input = celda.querySelector('input');
+    if (!input) return;
+
+    const estado = ESTADOS_CELDA_ACCESIBLES.find(([clase]) => celda.classList.contains(clase));
+    input.setAttribute('aria-label', estado ? `${input.dataset.etiqueta}. ${estado[1]}.` : input.dataset.etiqueta || '');
+    input.setAttribute('aria-invalid', celda.classList.contains('incorrect') ? 'true' : 'false');
+}
+
+/**
+ * Las clases de estado se ponen y quitan en muchos sitios (verificar, ayudas,
+ * limpiar, restaurar); un observador mantiene las etiquetas al día
+ */
+function inicializarAccesibilidadGrid() {
+    const container = document.getElementById('grid-container');
+    if (!container || typeof MutationObserver === 'undefined') return;
+
+    new MutationObserver(cambios => {
+        cambios.forEach(cambio => {
+            if (cambio.target.classList?.contains('grid-cell')) {
+                actualizarEtiquetaCelda(cambio.target);
+            }
+        });
+    }).observe(container, { subtree: true, attributes: true, attributeFilter: ['class'] });
+}
+
+/**
+ * Lee un mensaje en la región viva del grid sin mostrarlo
+ */
+function anunciar(mensaje) {
+    const region = document.getElementById('grid-anuncios');
+    if (!region) return;
+
+    // Vaciarla antes hace que se repita el anuncio aunque el texto sea el mismo
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = mensaje;
+    }, 50);
+}
+
+/**
+ * Lee una preferencia de sí/no guardada en localStorage
+ * @param {string} clave - Clave en localStorage
+ * @returns {boolean|null} - null si no hay preferencia guardada
+ */
+function cargarPreferencia(clave) {
+    try {
+        const guardada = localStorage.getItem(clave);
+        return guardada === null ? null : guardada === 'true';
+    } catch (error) {
+        console.warn('No se pudo leer la preferencia guardada:', error);
+        return null;
+    }
+}
+
+function guardarPreferencia(clave, activa) {
+    try {
+        localStorage.setItem(clave, String(activa));
+    } catch (error) {
+        console.warn('No se pudo guardar la preferencia:', error);
+    }
+}
+
+function inicializarAltoContraste() {
+    const boton = document.getElementById('contraste-btn');
+    if (!boton) return;
+
+    const guardado = cargarPreferencia(CLAVE_ALTO_CONTRASTE);
+    const activo = guardado !== null
+        ? guardado
+        : Boolean(window.matchMedia?.('(prefers-contrast: more)').matches);
+    aplicarAltoContraste(activo);
+
+    boton.addEventListener('click', () => {
+        const nuevo = !document.documentElement.classList.contains('alto-contraste');
+        aplicarAltoContraste(nuevo);
+        guardarPreferencia(CLAVE_ALTO_CONTRASTE, nuevo);
+    });
+}
+
+function aplicarAltoContraste(activo) {
+    document.documentElement.classList.toggle('alto-contraste', activo);
+    document.getElementById('contraste-btn')?.setAttribute('aria-pressed', activo ? 'true' : 'false');
+}
+
+/**
+ * Pellizcar con dos dedos amplía el grid y un dedo lo desplaza (el visor
+ * tiene scroll propio). En escritorio hace lo mismo Ctrl + rueda, que es
+ * también lo que envían los gestos del trackpad.
+ */
+function inicializarZoomGrid() {
+    const visor = document.getElementById('grid-viewport');
+    if (!visor) return;
+
+    const punteros = new Map();
+    let pellizco = null;
+
+    const medirPellizco = () => {
+        const [a, b] = [...punteros.values()];
+        const rect = visor.getBoundingClientRect();
+        return {
+            distancia: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+            foco: {
+                x: (a.clientX + b.clientX) / 2 - rect.left,
+                y: (a.clientY + b.clientY) / 2 - rect.top
+            }
+        };
+    };
+
+    visor.addEventListener('pointerdown', (e) => {
+        if (e.pointerType !== 'touch') return;
+        punteros.set(e.pointerId, e);
+        if (punteros.size === 2) {
+            pellizco = { ...medirPellizco(), zoom: zoomGrid };
+        }
+    });
+
+    visor.addEventListener('pointermove', (e) => {
+        if (!punteros.has(e.pointerId)) return;
+        punteros.set(e.pointerId, e);
+        if (pellizco && punteros.size === 2) {
+            const { distancia, foco } = medirPellizco();
+            if (pellizco.distancia > 0) {
+                aplicarZoomGrid(pellizco.zoom * distancia / pellizco.distancia, foco);
+            }
+        }
+    });
+
+    const soltar = (e) => {
+        punteros.delete(e.pointerId);
+        if (punteros.size < 2) pellizco = null;
+    };
+    visor.addEventListener('pointerup', soltar);
+    visor.addEventListener('pointercancel', soltar);
+
+    visor.addEventListener('wheel', (e) => {
+        if (!e.ctrlKey) return;
+        e.preventDefault();
+        const rect = visor.getBoundingClientRect();
+        aplicarZoomGrid(zoomGrid * (e.deltaY < 0 ? 1.1 : 1 / 1.1), {
+            x: e.clientX - rect.left,
+            y: e.clientY - rect.top
+        });
+    }, { passive: false });
+}
+
+/**
+ * Cambia la ampliación del grid manteniendo en su sitio el punto del visor
+ * indicado (el centro del pellizco o el puntero)
+ * @param {number} zoom - Factor deseado; se limita a [ZOOM_GRID_MIN, ZOOM_GRID_MAX]
+ * @param {{x: number, y: number}} [foco] - Punto relativo al visor
+ */
+function aplicarZoomGrid(zoom, foco) {
+    const visor = document.getElementById('grid-viewport');
+    const container = document.getElementById('grid-container');
+    if (!visor || !container) return;
+
+    const nuevo = Math.min(ZOOM_GRID_MAX, Math.max(ZOOM_GRID_MIN, zoom));
+    if (nuevo === zoomGrid) return;
+
+    const punto = foco || { x: visor.clientWidth / 2, y: visor.clientHeight / 2 };
+    const proporcion = nuevo / zoomGrid;
+    zoomGrid = nuevo;
+    container.style.setProperty('--zoom-grid', nuevo);
+    container.classList.toggle('ampliado', nuevo > ZOOM_GRID_MIN);
+
+    visor.scrollLeft = (visor.scrollLeft + punto.x) * proporcion - punto.x;
+    visor.scrollTop = (visor.scrollTop + punto.y) * proporcion - punto.y;
+}
+
+function inicializarTecladoPantalla() {
+    const boton = document.getElementById('teclado-btn');
+    const teclas = document.getElementById('teclado-teclas');
+    if (!boton || !teclas) return;
+
+    FILAS_TECLADO.forEach(fila => {
+        const divFila = document.createElement('div');
+        divFila.className = 'teclado__fila';
+
+        fila.forEach(tecla => {
+            const especial = TECLAS_ESPECIALES[tecla];
+            const botonTecla = document.createElement('button');
+            botonTecla.type = 'button';
+            botonTecla.className = especial ? 'teclado__tecla teclado__tecla--especial' : 'teclado__tecla';
+            botonTecla.dataset.tecla = tecla;
+            botonTecla.textContent = especial ? especial.texto : tecla;
+            if (especial) botonTecla.setAttribute('aria-label', especial.etiqueta);
+            divFila.appendChild(botonTecla);
+        });
+
+        teclas.appendChild(divFila);
+    });
+
+    // Evitar que la tecla se quede con el foco: la celda activa lo conserva
+    teclas.addEventListener('pointerdown', (e) => {
+        if (e.target.closest('.teclado__tecla')) e.preventDefault();
+    });
+    teclas.addEventListener('click', (e) => {
+        const tecla = e.target.closest('.teclado__tecla');
+        if (tecla) pulsarTeclaPantalla(tecla.dataset.tecla);
+    });
+
+    const guardado = cargarPreferencia(CLAVE_TECLADO_PANTALLA);
+    const activo = guardado !== null
+        ? guardado
+        : Boolean(window.matchMedia?.('(pointer: coarse)').matches);
+    aplicarTecladoPantalla(activo);
+
+    boton.addEventListener('click', () => {
+        const nuevo = !document.body.classList.contains('teclado-activo');
+        aplicarTecladoPantalla(nuevo);
+        guardarPreferencia(CLAVE_TECLADO_PANTALLA, nuevo);
+    });
+}
+
+function aplicarTecladoPantalla(activo) {
+    document.body.classList.toggle('teclado-activo', activo);
+    document.getElementById('teclado-pantalla').hidden = !activo;
+    document.getElementById('teclado-btn')?.setAttribute('aria-pressed', activo ? 'true' : 'false');
+
+    document.querySelectorAll('#grid-container .grid-cell input').forEach(input => {
+        if (activo) {
+            input.inputMode = 'none';
+        } else {
+            input.removeAttribute('inputmode');
+        }
+    });
+}
+
+/**
+ * Las teclas en pantalla hacen lo mismo que el teclado físico sobre la
+ * celda activa; sin celda activa se empieza por la primera pista
+ * @param {string} tecla - Letra o nombre de una tecla de TECLAS_ESPECIALES
+ */
+function pulsarTeclaPantalla(tecla) {
+    if (!crucigramaActual || document.getElementById('grid-container').inert) return;
+
+    if (!celdaActiva || !celdaActiva.isConnected) {
+        saltarAPista(1);
+    }
+    const input = celdaActiva;
+    if (!input || !input.isConnected) return;
+
+    switch (tecla) {
+        case 'borrar':
+            borrarHaciaAtras(input);
+            return;
+        case 'direccion':
+            alternarOrientacion(input);
+            return;
+        case 'anterior':
+        case 'siguiente':
+            seleccionarPalabraDesdeInput(input);
+            saltarAPista(tecla === 'siguiente' ? 1 : -1);
+            return;
+        default:
+            seleccionarPalabraDesdeInput(input);
+            escribirLetra(input, tecla);
+    }
+}
+
+/**
+ * Determina la palabra activa basada en el input seleccionado.
+ * @param {HTMLInputElement} input - Input que está activo.
+ * @param {string|null} orientacionPreferida - Orientación a priorizar.
+ */
+function seleccionarPalabraDesdeInput(input, orientacionPreferida = null) {
+    const data = input.dataset.words ? JSON.parse(input.dataset.words) : [];
+    if (!data.length) {
+        estadoEntrada = { palabraIndex: null, orientacion: null };
+        actualizarResaltado();
+        return;
+    }
+
+    let seleccion = null;
+
+    if (orientacionPreferida) {
+        seleccion = data.find(item => item.orientacion === orientacionPreferida) || null;
+    }
+
+    if (!seleccion && estadoEntrada.palabraIndex !== null) {
+        seleccion = data.find(item => item.palabraIndex === estadoEntrada.palabraIndex) || null;
+    }
+
+    if (!seleccion) {
+        seleccion = data[0];
+    }
+
+    estadoEntrada = {
+        palabraIndex: seleccion.palabraIndex,
+        orientacion: seleccion.orientacion
+    };
+    actualizarResaltado();
+}
+
+/**
+ * Resalta en el grid las celdas de la palabra activa y, en las listas, su
+ * pista y la de la palabra que se cruza en la celda activa
+ */
+function actualizarResaltado() {
+    document.querySelectorAll('#grid-container .grid-cell.active-word, #grid-container .grid-cell.active-cell')
+        .forEach(celda => celda.classList.remove('active-word', 'active-cell'));
+    document.querySelectorAll('#pistas-container li.pista-activa, #pistas-container li.pista-cruce')
+        .forEach(li => li.classList.remove('pista-activa', 'pista-cruce'));
+
+    const barra = document.getElementById('current-clue');
+    const pistaTeclado = document.getElementById('teclado-pista');
+    const { palabraIndex } = estadoEntrada;
+    const palabraInfo = crucigramaActual && palabraIndex !== null
+        ? crucigramaActual.palabrasColocadas[palabraIndex]
+        : null;
+
+    if (!palabraInfo) {
+        if (barra) barra.textContent = '';
+        if (pistaTeclado) pistaTeclado.textContent = '';
+        return;
+    }
+
+    const dx = palabraInfo.orientacion === 'horizontal' ? 1 : 0;
+    const dy = palabraInfo.orientacion === 'vertical' ? 1 : 0;
+    for (let i = 0; i < palabraInfo.palabra.length; i++) {
+        const input = obtenerInputCelda(palabraInfo.x + dx * i, palabraInfo.y + dy * i);
+        if (input) input.parentElement.classList.add('active-word');
+    }
+
+    if (celdaActiva && celdaActiva.isConnected) {
+        celdaActiva.parentElement.classList.add('active-cell');
+        const cruces = JSON.parse(celdaActiva.dataset.words || '[]')
+            .filter(item => item.palabraIndex !== palabraIndex);
+        cruces.forEach(item => {
+            document.querySelector(`#pistas-container li[data-palabra-index="${item.palabraIndex}"]`)
+                ?.classList.add('pista-cruce');
+        });
+    }
+
+    const pistaActiva = document.querySelector(`#pistas-container li[data-palabra-index="${palabraIndex}"]`);
+    if (pistaActiva) {
+        pistaActiva.classList.add('pista-activa');
+        pistaActiva.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    const direccion = palabraInfo.orientacion === 'horizontal' ? 'H' : 'V';
+    const textoPista = `${palabraInfo.numero}${direccion} · ${formatearPista(palabraInfo)}`;
+    if (barra) barra.textContent = textoPista;
+    if (pistaTeclado) pistaTeclado.textContent = textoPista;
+}
+
+/**
+ * Marca en las listas las pistas cuyas palabras están bien resueltas
+ */
+function actualizarPistasCompletadas() {
+    if (!crucigramaActual) return;
+
+    crucigramaActual.palabrasColocadas.forEach((palabraInfo, index) => {
+        const li = document.querySelector(`#pistas-container li[data-palabra-index="${index}"]`);
+        if (li) li.classList.toggle('pista-completada', verificarPalabraCompleta(palabraInfo).todasCorrectas);
+    });
+}
+
+/**
+ * Mueve el foco dentro de la palabra activa siguiendo su orientación.
+ * @param {HTMLInputElement} input - Input de referencia.
+ * @param {number} paso - Dirección del movimiento (1 siguiente, -1 anterior).
+ */
+function moverEnPalabra(input, paso) {
+    if (!crucigramaActual) return;
+
+    const { palabraIndex, orientacion } = estadoEntrada;
+    if (palabraIndex === null || orientacion === null) return;
+
+    const palabraInfo = crucigramaActual.palabrasColocadas[palabraIndex];
+    if (!palabraInfo) return;
+
+    const data = input.dataset.words ? JSON.parse(input.dataset.words) : [];
+    const datosCelda = data.find(item => item.palabraIndex === palabraIndex);
+    if (!datosCelda) return;
+
+    const nuevaPosicion = datosCelda.letraIndex + paso;
+    if (nuevaPosicion < 0 || nuevaPosicion >= palabraInfo.palabra.length) return;
+
+    const dx = orientacion === 'horizontal' ? 1 : 0;
+    const dy = orientacion === 'vertical' ? 1 : 0;
+    const nextX = palabraInfo.x + dx * nuevaPosicion;
+    const nextY = palabraInfo.y + dy * nuevaPosicion;
+    const container = document.getElementById('grid-container');
+    const siguienteInput = container.querySelector(`.grid-cell[data-x="${nextX}"][data-y="${nextY}"] input`);
+
+    if (siguienteInput) {
+        siguienteInput.focus();
+        seleccionarPalabraDesdeInput(siguienteInput, orientacion);
+    }
+
+    return siguienteInput;
+}
+
+/**
+ * Devuelve el input de una celda del grid
+ * @param {number} x - Posición X
+ * @param {number} y - Posición Y
+ * @returns {HTMLInputElement|null} - Input o null si la celda está vacía
+ */
+function obtenerInputCelda(x, y) {
+    return document.querySelector(`#grid-container .grid-cell[data-x="${x}"][data-y="${y}"] input`);
+}
+
+/**
+ * Da el foco a una celda y activa la palabra con la orientación indicada
+ */
+function enfocarCelda(input, orientacion = null) {
+    input.focus();
+    seleccionarPalabraDesdeInput(input, orientacion);
+}
+
+/**
+ * Cambia entre la palabra horizontal y la vertical en una celda de cruce
+ * @param {HTMLInputElement} input - Input activo
+ */
+function alternarOrientacion(input) {
+    const data = input.dataset.words ? JSON.parse(input.dataset.words) : [];
+    const otra = data.find(item => item.orientacion !== estadoEntrada.orientacion);
+    if (otra) {
+        seleccionarPalabraDesdeInput(input, otra.orientacion);
+    }
+}
+
+/**
+ * Escribe una letra en la celda (sobrescribiendo la que hubiera) y avanza.
+ * Se lanza el evento input para que corran la verificación y el guardado.
+ */
+function escribirLetra(input, letra) {
+    if (input.readOnly) {
+        moverEnPalabra(input, 1);
+        return;
+    }
+    input.value = letra.toUpperCase();
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Borra la letra de una celda avisando al resto de la aplicación
+ */
+function borrarLetra(input) {
+    if (input.readOnly || !input.value) return;
+    input.value = '';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Retroceso: borra la letra de la celda o, si ya está vacía, retrocede y
+ * borra la anterior
+ */
+function borrarHaciaAtras(input) {
+    seleccionarPalabraDesdeInput(input);
+    if (input.value && !input.readOnly) {
+        borrarLetra(input);
+        return;
+    }
+    const anterior = moverEnPalabra(input, -1);
+    if (anterior) borrarLetra(anterior);
+}
+
+/**
+ * Mueve el foco con las flechas saltando las casillas negras. Si la flecha
+ * es perpendicular a la palabra activa y la celda tiene palabra en ese
+ * sentido, primero se cambia de orientación sin moverse.
+ * @param {HTMLInputElement} input - Input activo
+ * @param {number} dx - Desplazamiento horizontal (-1, 0, 1)
+ * @param {number} dy - Desplazamiento vertical (-1, 0, 1)
+ */
+function moverConFlecha(input, dx, dy) {
+    const orientacion = dx !== 0 ? 'horizontal' : 'vertical';
+    const data = input.dataset.words ? JSON.parse(input.dataset.words) : [];
+
+    if (estadoEntrada.orientacion !== orientacion && data.some(item => item.orientacion === orientacion)) {
+        seleccionarPalabraDesdeInput(input, orientacion);
+        return;
+    }
+
+    const size = crucigramaActual.grid.size;
+    let x = parseInt(input.parentElement.dataset.x, 10) + dx;
+    let y = parseInt(input.parentElement.dataset.y, 10) + dy;
+
+    while (x >= 0 && y >= 0 && x < size && y < size) {
+        const destino = obtenerInputCelda(x, y);
+        if (destino) {
+            enfocarCelda(destino, orientacion);
+            return;
+        }
+        x += dx;
+        y += dy;
+    }
+}
+
+/**
+ * Salta a la primera celda vacía de la pista siguiente o anterior
+ * (primero las horizontales y después las verticales, por número)
+ * @param {number} paso - 1 para la siguiente, -1 para la anterior
+ */
+function saltarAPista(paso) {
+    const palabras = crucigramaActual.palabrasColocadas;
+    const orden = palabras
+        .map((palabra, index) => ({ palabra, index }))
+        .sort((a, b) => {
+            if (a.palabra.orientacion !== b.palabra.orientacion) {
+                return a.palabra.orientacion === 'horizontal' ? -1 : 1;
+            }
+            return a.palabra.numero - b.palabra.numero;
+        });
+
+    const actual = orden.findIndex(item => item.index === estadoEntrada.palabraIndex);
+    const siguiente = orden[(actual + paso + orden.length) % orden.length];
+    if (!siguiente) return;
+
+    enfocarPrimeraCeldaVacia(siguiente.index);
+}
+
+/**
+ * Da el foco a la primera celda vacía de una palabra (o a la primera si está llena)
+ * @param {number} palabraIndex - Índice en palabrasColocadas
+ */
+function enfocarPrimeraCeldaVacia(palabraIndex) {
+    const palabraInfo = crucigramaActual.palabrasColocadas[palabraIndex];
+    const dx = palabraInfo.orientacion === 'horizontal' ? 1 : 0;
+    const dy = palabraInfo.orientacion === 'vertical' ? 1 : 0;
+
+    let destino = null;
+    for (let i = 0; i < palabraInfo.palabra.length; i++) {
+        const input = obtenerInputCelda(palabraInfo.x + dx * i, palabraInfo.y + dy * i);
+        if (!destino) destino = input;
+        if (input && !input.value) {
+            destino = input;
+            break;
+        }
+    }
+
+    if (destino) {
+        estadoEntrada = { palabraIndex, orientacion: palabraInfo.orientacion };
+        enfocarCelda(destino, palabraInfo.orientacion);
+    }
+}
+
+/**
+ * Lleva el foco a la primera o última celda de la palabra activa
+ * @param {HTMLInputElement} input - Input activo
+ * @param {boolean} alFinal - true para la última celda
+ */
+function irAExtremoPalabra(input, alFinal) {
+    seleccionarPalabraDesdeInput(input);
+    const palabraInfo = crucigramaActual.palabrasColocadas[estadoEntrada.palabraIndex];
+    if (!palabraInfo) return;
+
+    const posicion = alFinal ? palabraInfo.palabra.length - 1 : 0;
+    const dx = palabraInfo.orientacion === 'horizontal' ? 1 : 0;
+    const dy = palabraInfo.orientacion === 'vertical' ? 1 : 0;
+    const destino = obtenerInputCelda(palabraInfo.x + dx * posicion, palabraInfo.y + dy * posicion);
+    if (destino) enfocarCelda(destino, palabraInfo.orientacion);
+}
+
+/**
+ * Teclado estándar de crucigrama en las celdas del grid
+ * @param {KeyboardEvent} e - Evento keydown de un input del grid
+ */
+function manejarTeclaCelda(e) {
+    const input = e.target;
+    if (!crucigramaActual || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    switch (e.key) {
+        case 'ArrowRight':
+            e.preventDefault();
+            moverConFlecha(input, 1, 0);
+            return;
+        case 'ArrowLeft':
+            e.preventDefault();
+            moverConFlecha(input, -1, 0);
+            return;
+        case 'ArrowDown':
+            e.preventDefault();
+            moverConFlecha(input, 0, 1);
+            return;
+        case 'ArrowUp':
+            e.preventDefault();
+            moverConFlecha(input, 0, -1);
+            return;
+        case ' ':
+            e.preventDefault();
+            alternarOrientacion(input);
+            return;
+        case 'Tab':
+            e.preventDefault();
+            seleccionarPalabraDesdeInput(input);
+            saltarAPista(e.shiftKey ? -1 : 1);
+            return;
+        case 'Escape':
+            // Tab salta entre pistas, así que Escape es la salida del grid
+            e.preventDefault();
+            document.querySelector(`#pistas-container li[data-palabra-index="${estadoEntrada.palabraIndex}"]`)?.focus();
+            return;
+        case 'Home':
+            e.preventDefault();
+            irAExtremoPalabra(input, false);
+            return;
+        case 'End':
+            e.preventDefault();
+            irAExtremoPalabra(input, true);
+            return;
+        case 'Delete':
+            e.preventDefault();
+            borrarLetra(input);
+            return;
+        case 'Backspace':
+            // Con la celda vacía se retrocede y se borra la anterior
+            if (!input.value || input.readOnly) {
+                e.preventDefault();
+                borrarHaciaAtras(input);
+            }
+            return;
+        default:
+            break;
+    }
+
+    // Una letra sobrescribe el contenido de la celda y avanza
+    if (e.key.length === 1 && /\p{L}/u.test(e.key)) {
+        e.preventDefault();
+        seleccionarPalabraDesdeInput(input);
+        escribirLetra(input, e.key);
+    }
+}
+
+/**
+ * Dibuja las pistas en el HTML
+ * @param {Array} palabrasColocadas - Array de palabras colocadas
+ */
+function dibujarPistas(palabrasColocadas) {
+    const horizontales = document.getElementById('pistas-horizontales');
+    const verticales = document.getElementById('pistas-verticales');
+    
+    horizontales.innerHTML = '';
+    verticales.innerHTML = '';
+    
+    // Ordenar palabras por número
+    const palabrasOrdenadas = [...palabrasColocadas].sort((a, b) => a.numero - b.numero);
+    
+    palabrasOrdenadas.forEach(palabra => {
+        const li = document.createElement('li');
+        const palabraIndex = palabrasColocadas.indexOf(palabra);
+        li.value = palabra.numero;
+        li.dataset.palabraIndex = palabraIndex;
+        li.tabIndex = 0;
+        li.textContent = formatearPista(palabra);
+
+        // Al elegir una pista se salta a su primera celda vacía
+        li.addEventListener('click', () => enfocarPrimeraCeldaVacia(palabraIndex));
+        li.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                enfocarPrimeraCeldaVacia(palabraIndex);
+            }
+        });
+
+        // Forma original de la palabra o expresión, visible en la solución
+        const solucion = document.createElement('span');
+        solucion.className = 'pista-solucion';
+        solucion.textContent = palabra.original || palabra.palabra;
+        li.appendChild(solucion);
+        
+        if (palabra.orientacion === 'horizontal') {
+            horizontales.appendChild(li);
+        } else {
+            verticales.appendChild(li);
+        }
+    });
+
+    actualizarPistasCompletadas();
+    actualizarResaltado();
+    actualizarEtiquetasCeldas();
+}
+
+/**
+ * Texto de la pista con la enumeración de las expresiones de varias palabras
+ */
+function formatearPista(palabra) {
+    const textoPista = obtenerTextoPista(palabra);
+    return palabra.enumeracion ? `${textoPista} ${palabra.enumeracion}` : textoPista;
+}
+
+/**
+ * Construye el texto de la pista de una palabra según el modo activo
+ * @param {Object} palabra - Palabra colocada (con su registro del JSON)
+ * @returns {string} - Texto de la pista
+ */
+function obtenerTextoPista(palabra) {
+    let texto;
+
+    if (crucigramaActual?.direccion === 'inversa') {
+        // En el modo inverso la pista es la palabra española y su ejemplo
+        const frase = (palabra.registro?.["Frase de Ejemplo"] || '').trim();
+        texto = frase ? `${palabra.pista} — «${frase}»` : palabra.pista;
+    } else if (palabra.registro?.["Pista"]) {
+        // Las listas propias traen su propia pista, que manda sobre el modo elegido
+        texto = palabra.registro["Pista"];
+    } else {
+        const modo = MODOS_PISTAS[modoPistas] || MODOS_PISTAS.ingles;
+        const partes = modo.fuentes
+            .map(fuente => (FUENTES_PISTA[fuente](palabra) || '').trim())
+            .filter(Boolean);
+
+        // Si el registro no tiene el campo pedido se usa la pista por defecto
+        texto = partes.length > 0 ? partes.join(' · ') : palabra.pista;
+    }
+
+    const categoria = (palabra.registro?.["Parte del discurso"] || '').trim();
+    if (mostrarCategoriaPista && categoria) {
+        texto += ` [${categoria}]`;
+    }
+
+    return texto;
+}
+
+/**
+ * Sustituye la palabra buscada por un hueco en su frase de ejemplo. Si no
+ * aparece tal cual, busca palabras de la frase con la misma raíz (formas
+ * conjugadas, plurales...)
+ * @param {Object} palabra - Palabra colocada (con su registro del JSON)
+ * @returns {string} - Frase con hueco o cadena vacía si no se puede crear
+ */
+function crearFraseConHueco(palabra) {
+    const frase = (palabra.registro?.["Frase de Ejemplo"] || '').trim();
+    const original = (palabra.original || '').trim();
+    if (!frase || !original) return '';
+
+    const hueco = texto => '_'.repeat(Math.max(3, texto.length));
+    const escapar = texto => texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    // Solo palabras enteras: «sí» no debe tapar parte de «así»
+    const exacta = new RegExp(`(?<![\\p{L}])${escapar(original)}(?![\\p{L}])`, 'iu');
+    if (exacta.test(frase)) {
+        return frase.replace(exacta, coincidencia => hueco(coincidencia));
+    }
+
+    // Buscar por raíz cada palabra significativa de la unidad léxica
+    let conHueco = frase;
+    let sustituida = false;
+    original.split(/\s+/).forEach(parte => {
+        const limpia = parte.replace(/[^\p{L}]/gu, '');
+        // En palabras cortas la raíz es la palabra entera y taparía otras
+        // que solo empiezan igual («mar» en «Marta»)
+        if (limpia.length < 4) return;
+        const raiz = limpia.slice(0, Math.max(3, limpia.length - 2));
+        const porRaiz = new RegExp(`(?<![\\p{L}])${escapar(raiz)}\\p{L}*`, 'giu');
+        conHueco = conHueco.replace(porRaiz, coincidencia => {
+            sustituida = true;
+            return hueco(coincidencia);
+        });
+    });
+
+    return sustituida ? conHueco : '';
+}
+
+/**
+ * Limpia el grid
+ */
+function limpiarGrid() {
+    // Las celdas reveladas se quedan como están: si se vaciaran, el alumno
+    // podría volver a escribirlas y contarían como aciertos suyos. Por lo
+    // mismo, la solución vista sigue contando como vista.
+    const reveladas = new Set(crucigramaActual?.ayudas.reveladas || []);
+    const inputs = document.querySelectorAll('.grid-cell input');
+    inputs.forEach(input => {
+        const celda = input.parentElement;
+        celda.classList.remove('correct', 'incorrect', 'accent-warning');
+        if (reveladas.has(`${celda.dataset.x},${celda.dataset.y}`)) return;
+
+        input.value = '';
+        input.readOnly = false;
+        celda.classList.remove('revealed');
+    });
+    actualizarPistasCompletadas();
+    guardarProgreso();
+}
+
+/**
+ * Rellena el grid con las respuestas y muestra en las pistas la forma
+ * original de cada palabra o expresión
+ */
+function mostrarSolucion() {
+    if (!crucigramaActual) {
+        notificar('Primero genera un crucigrama.', { tipo: 'aviso' });
+        return;
+    }
+    if (avisarSiEnPausa()) return;
+
+    // Lo que no estaba bien escrito pasa a contar como revelado
+    document.querySelectorAll('.grid-cell input').forEach(input => {
+        if (input.value.toUpperCase() !== input.dataset.respuesta) {
+            revelarCelda(input);
+        }
+        input.parentElement.classList.remove('correct', 'incorrect', 'accent-warning');
+    });
+    document.getElementById('pistas-container').classList.add('mostrar-solucion');
+    actualizarPistasCompletadas();
+    guardarProgreso();
+}
+
+function inicializarSelectorTiempo() {
+    const select = document.getElementById('modo-tiempo');
+    const pausaBtn = document.getElementById('pause-btn');
+    if (!select || !pausaBtn) return;
+
+    select.innerHTML = '';
+    Object.entries(MODOS_TIEMPO).forEach(([id, modo]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = modo.nombre;
+        select.appendChild(option);
+    });
+    select.value = modoTiempo;
+
+    // Si el crucigrama actual aún no ha empezado, el cambio se le aplica
+    select.addEventListener('change', () => {
+        modoTiempo = MODOS_TIEMPO[select.value] ? select.value : 'sin';
+        const tiempo = crucigramaActual?.tiempo;
+        if (tiempo && tiempo.inicio === null && tiempo.transcurrido === 0 && !tiempo.terminado) {
+            crucigramaActual.tiempo = crearEstadoTiempo();
+            actualizarTemporizador();
+            renderizarMejoresTiempos();
+        }
+    });
+
+    pausaBtn.addEventListener('click', alternarPausa);
+    actualizarTemporizador();
+}
+
+function crearEstadoTiempo() {
+    return { modo: modoTiempo, transcurrido: 0, inicio: null, pausado: false, terminado: false, agotado: false };
+}
+
+/**
+ * Segundos jugados, contando el tramo en curso si el temporizador corre
+ */
+function obtenerSegundosTranscurridos(tiempo) {
+    const enCurso = tiempo.inicio !== null ? Date.now() - tiempo.inicio : 0;
+    return Math.floor((tiempo.transcurrido + enCurso) / 1000);
+}
+
+function formatearTiempo(segundos) {
+    const minutos = Math.floor(segundos / 60);
+    return `${String(minutos).padStart(2, '0')}:${String(segundos % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Arranca el temporizador con la primera pulsación sobre el grid
+ */
+function iniciarTemporizador() {
+    const tiempo = crucigramaActual?.tiempo;
+    if (!tiempo || tiempo.modo === 'sin' || tiempo.terminado || tiempo.pausado || tiempo.inicio !== null) return;
+
+    tiempo.inicio = Date.now();
+    clearInterval(intervaloTemporizador);
+    intervaloTemporizador = setInterval(actualizarTemporizador, 250);
+    actualizarTemporizador();
+}
+
+/**
+ * Para el temporizador y cierra el intento
+ * @returns {number} - Segundos empleados
+ */
+function detenerTemporizador() {
+    const tiempo = crucigramaActual.tiempo;
+    if (tiempo.inicio !== null) {
+        tiempo.transcurrido += Date.now() - tiempo.inicio;
+        tiempo.inicio = null;
+    }
+    tiempo.terminado = true;
+    clearInterval(intervaloTemporizador);
+    intervaloTemporizador = null;
+    actualizarTemporizador();
+
+    const limite = MODOS_TIEMPO[tiempo.modo]?.limite;
+    const segundos = obtenerSegundosTranscurridos(tiempo);
+    return limite ? Math.min(segundos, limite) : segundos;
+}
+
+/**
+ * Pausa o reanuda el temporizador. En pausa el grid se oculta.
+ */
+function alternarPausa() {
+    const tiempo = crucigramaActual?.tiempo;
+    if (!tiempo || tiempo.modo === 'sin' || tiempo.terminado) return;
+
+    const container = document.getElementById('grid-container');
+
+    if (tiempo.pausado) {
+        tiempo.pausado = false;
+        container.classList.remove('paused');
+        container.inert = false;
+        if (tiempo.transcurrido > 0) {
+            iniciarTemporizador();
+        }
+    } else {
+        if (tiempo.inicio !== null) {
+            tiempo.transcurrido += Date.now() - tiempo.inicio;
+            tiempo.inicio = null;
+        }
+        tiempo.pausado = true;
+        clearInterval(intervaloTemporizador);
+        intervaloTemporizador = null;
+        container.classList.add('paused');
+        container.inert = true;
+    }
+
+    actualizarTemporizador();
+    guardarProgreso();
+}
+
+/**
+ * Refresca el marcador de tiempo y termina la partida si se agota la cuenta atrás
+ */
+function actualizarTemporizador() {
+    const display = document.getElementById('timer-display');
+    const pausaBtn = document.getElementById('pause-btn');
+    if (!display || !pausaBtn) return;
+
+    const tiempo = crucigramaActual?.tiempo;
+    const activo = tiempo && tiempo.modo !== 'sin';
+
+    display.parentElement.classList.toggle('timer-bar--hidden', !activo);
+    pausaBtn.disabled = !activo || tiempo.terminado;
+
+    // En pausa el grid está oculto y no se puede pedir ayuda ni ver respuestas
+    const enPausa = Boolean(activo && tiempo.pausado);
+    document.querySelectorAll('#hint-bar button, #verificar-btn, #solucion-btn').forEach(boton => {
+        boton.disabled = enPausa;
+    });
+    if (!activo) return;
+
+    pausaBtn.textContent = tiempo.pausado ? 'Reanudar' : 'Pausa';
+
+    const segundos = obtenerSegundosTranscurridos(tiempo);
+    const limite = MODOS_TIEMPO[tiempo.modo]?.limite;
+
+    if (limite) {
+        const restantes = Math.max(0, limite - segundos);
+        display.textContent = `⏳ ${formatearTiempo(restantes)}`;
+        display.classList.toggle('timer-bar__display--urgent', restantes <= 30);
+
+        if (restantes === 0 && !tiempo.terminado) {
+            agotarTiempo();
+        }
+    } else {
+        display.textContent = `⏱️ ${formatearTiempo(segundos)}`;
+        display.classList.remove('timer-bar__display--urgent');
+    }
+}
+
+/**
+ * Avisa y devuelve true si el crucigrama está en pausa
+ */
+function avisarSiEnPausa() {
+    if (!crucigramaActual?.tiempo.pausado) return false;
+    notificar('Reanuda el crucigrama para continuar.', { tipo: 'aviso' });
+    return true;
+}
+
+/**
+ * Fin de la cuenta atrás: bloquea el grid y muestra el resultado
+ */
+function agotarTiempo() {
+    crucigramaActual.tiempo.agotado = true;
+    bloquearGrid();
+    verificarRespuestas();
+}
+
+function bloquearGrid() {
+    document.querySelectorAll('#grid-container .grid-cell input').forEach(input => {
+        input.readOnly = true;
+    });
+}
+
+function cargarMejoresTiempos() {
+    try {
+        return JSON.parse(localStorage.getItem(CLAVE_MEJORES_TIEMPOS) || '{}') || {};
+    } catch (error) {
+        console.warn('No se pudieron leer los mejores tiempos:', error);
+        return {};
+    }
+}
+
+/**
+ * Clave de la tabla de mejores tiempos: unidades seleccionadas y dirección
+ */
+function obtenerClaveMejoresTiempos() {
+    if (!crucigramaActual?.parametros) return null;
+    const { u, d } = crucigramaActual.parametros;
+    return `${u}|${d}`;
+}
+
+function registrarMejorTiempo(segundos, puntos) {
+    const clave = obtenerClaveMejoresTiempos();
+    if (!clave) return;
+
+    const tablas = cargarMejoresTiempos();
+    const tabla = Array.isArray(tablas[clave]) ? tablas[clave] : [];
+    tabla.push({
+        segundos,
+        puntos,
+        palabras: crucigramaActual.palabrasColocadas.length,
+        modo: crucigramaActual.tiempo.modo,
+        fecha: Date.now()
+    });
+    tabla.sort((a, b) => a.segundos - b.segundos);
+    tablas[clave] = tabla.slice(0, MAX_MEJORES_TIEMPOS);
+
+    try {
+        localStorage.setItem(CLAVE_MEJORES_TIEMPOS, JSON.stringify(tablas));
+    } catch (error) {
+        console.warn('No se pudo guardar el tiempo:', error);
+    }
+
+    renderizarMejoresTiempos();
+}
+
+function renderizarMejoresTiempos() {
+    const lista = document.getElementById('best-times-list');
+    if (!lista) return;
+
+    lista.innerHTML = '';
+    const clave = obtenerClaveMejoresTiempos();
+    const tabla = clave ? cargarMejoresTiempos()[clave] || [] : [];
+
+    if (tabla.length === 0) {
+        const vacio = document.createElement('li');
+        vacio.className = 'best-times__empty';
+        vacio.textContent = 'Aún no hay tiempos para estas unidades.';
+        lista.appendChild(vacio);
+        return;
+    }
+
+    tabla.forEach(registro => {
+        const li = document.createElement('li');
+        const fecha = new Date(registro.fecha).toLocaleDateString('es-ES');
+        li.textContent = `${formatearTiempo(registro.segundos)} · ${registro.puntos} puntos · ${registro.palabras} palabras · ${fecha}`;
+        lista.appendChild(li);
+    });
+}
+
+function crearRegistroAyudas() {
+    // reveladas: celdas ("x,y") rellenadas por una ayuda o por la solución
+    return { letra: 0, palabra: 0, comprobar: 0, penalizacion: 0, reveladas: [] };
+}
+
+/**
+ * Escribe la respuesta en una celda y la marca como revelada
+ * @param {HTMLInputElement} input - Input de la celda
+ */
+function revelarCelda(input) {
+    const celda = input.parentElement;
+    input.value = input.dataset.respuesta;
+    input.readOnly = true;
+    celda.classList.remove('incorrect', 'accent-warning');
+    celda.classList.add('revealed');
+
+    const clave = `${celda.dataset.x},${celda.dataset.y}`;
+    const { reveladas } = crucigramaActual.ayudas;
+    if (!reveladas.includes(clave)) reveladas.push(clave);
+}
+
+/**
+ * Devuelve los inputs de la palabra activa en estadoEntrada
+ * @returns {Array|null} - Inputs en orden o null si no hay palabra activa
+ */
+function obtenerInputsPalabraActiva() {
+    if (!crucigramaActual || estadoEntrada.palabraIndex === null) return null;
+
+    const palabraInfo = crucigramaActual.palabrasColocadas[estadoEntrada.palabraIndex];
+    if (!palabraInfo) return null;
+
+    const dx = palabraInfo.orientacion === 'horizontal' ? 1 : 0;
+    const dy = palabraInfo.orientacion === 'vertical' ? 1 : 0;
+    const inputs = [];
+    for (let i = 0; i < palabraInfo.palabra.length; i++) {
+        const input = document.querySelector(
+            `.grid-cell[data-x="${palabraInfo.x + dx * i}"][data-y="${palabraInfo.y + dy * i}"] input`
+        );
+        if (input) inputs.push(input);
+    }
+    return inputs;
+}
+
+/**
+ * Aplica una ayuda sobre la palabra activa y descuenta su coste
+ * @param {string} tipo - "letra", "palabra" o "comprobar"
+ */
+function usarAyuda(tipo) {
+    if (!crucigramaActual) {
+        notificar('Primero genera un crucigrama.', { tipo: 'aviso' });
+        return;
+    }
+    if (avisarSiEnPausa()) return;
+
+    const inputs = obtenerInputsPalabraActiva();
+    if (!inputs) {
+        notificar('Selecciona una casilla de la palabra en la que quieres ayuda.', { tipo: 'aviso' });
+        return;
+    }
+
+    const pendientes = inputs.filter(input => compararLetra(input.value, input.dataset.respuesta) !== 'correcta');
+    if (tipo !== 'comprobar' && pendientes.length === 0) {
+        notificar('Esta palabra ya está completa.');
+        return;
+    }
+
+    if (tipo === 'letra') {
+        // La celda activa si le falta la letra; si no, la primera pendiente
+        const objetivo = pendientes.includes(celdaActiva) ? celdaActiva : pendientes[0];
+        revelarCelda(objetivo);
+        moverEnPalabra(objetivo, 1);
+    } else if (tipo === 'palabra') {
+        pendientes.forEach(revelarCelda);
+    } else if (tipo === 'comprobar') {
+        inputs.forEach(input => {
+            const celda = input.parentElement;
+            celda.classList.remove('incorrect', 'accent-warning');
+            const resultado = compararLetra(input.value, input.dataset.respuesta);
+            if (resultado === 'incorrecta') celda.classList.add('incorrect');
+            if (resultado === 'aviso') celda.classList.add('accent-warning');
+        });
+    }
+
+    crucigramaActual.ayudas[tipo]++;
+    crucigramaActual.ayudas.penalizacion += COSTES_AYUDA[tipo];
+    actualizarMarcadorAyudas();
+    actualizarPistasCompletadas();
+
+    const palabraInfo = crucigramaActual.palabrasColocadas[estadoEntrada.palabraIndex];
+    const { todasCorrectas, celdas } = verificarPalabraCompleta(palabraInfo);
+    if (todasCorrectas && !celdas[0].classList.contains('correct')) {
+        animarPalabraCorrecta(celdas);
+    }
+
+    guardarProgreso();
+}
+
+function actualizarMarcadorAyudas() {
+    const marcador = document.getElementById('hint-penalty');
+    if (!marcador) return;
+
+    const penalizacion = crucigramaActual ? crucigramaActual.ayudas.penalizacion : 0;
+    marcador.textContent = penalizacion > 0 ? `Ayudas: −${penalizacion} puntos` : 'Sin ayudas usadas';
+}
+
+/**
+ * Crea efecto de confeti para celebrar
+ */
+function crearConfeti(elemento) {
+    const rect = elemento.getBoundingClientRect();
+    const centerX = rect.left + rect.width / 2;
+    const centerY = rect.top + rect.height / 2;
+
+    const colors = ['#667eea', '#764ba2', '#10b981', '#f093fb', '#f5576c'];
+
+    for (let i = 0; i < 12; i++) {
+        const confetti = document.createElement('div');
+        confetti.className = 'confetti-piece';
+        confetti.style.left = centerX + 'px';
+        confetti.style.top = centerY + 'px';
+        confetti.style.background = colors[Math.floor(Math.random() * colors.length)];
+
+        const angle = (Math.PI * 2 * i) / 12;
+        const velocity = 50 + Math.random() * 50;
+        const tx = Math.cos(angle) * velocity;
+        const ty = Math.sin(angle) * velocity - 100;
+
+        confetti.style.setProperty('--tx', tx + 'px');
+        confetti.style.setProperty('--ty', ty + 'px');
+
+        document.body.appendChild(confetti);
+
+        setTimeout(() => confetti.remove(), 1000);
+    }
+}
+
+/**
+ * Verifica si una palabra completa está correcta
+ */
+function verificarPalabraCompleta(palabraInfo) {
+    const { palabra, x, y, orientacion } = palabraInfo;
+    const dx = orientacion === 'horizontal' ? 1 : 0;
+    const dy = orientacion === 'vertical' ? 1 : 0;
+
+    let todasCorrectas = true;
+    let avisos = 0;
+    const celdas = [];
+
+    for (let i = 0; i < palabra.length; i++) {
+        const currentX = x + dx * i;
+        const currentY = y + dy * i;
+        const celda = document.querySelector(`.grid-cell[data-x="${currentX}"][data-y="${currentY}"]`);
+        const input = celda?.querySelector('input');
+        const resultado = input ? compararLetra(input.value, palabra[i]) : 'vacia';
+
+        if (resultado !== 'correcta' && resultado !== 'aviso') {
+            todasCorrectas = false;
+            break;
+        }
+        if (resultado === 'aviso') avisos++;
+        celdas.push(celda);
+    }
+
+    return { todasCorrectas, avisos, celdas };
+}
+
+/**
+ * Marca las celdas cuya letra se ha aceptado sin tilde
+ */
+function marcarAvisosAcentos(celdas) {
+    celdas.forEach(celda => {
+        const input = celda.querySelector('input');
+        if (input && compararLetra(input.value, input.dataset.respuesta) === 'aviso') {
+            celda.classList.add('accent-warning');
+        }
+    });
+}
+
+/**
+ * Anima una palabra completada correctamente
+ */
+function animarPalabraCorrecta(celdas) {
+    celdas.forEach((celda, index) => {
+        setTimeout(() => {
+            celda.style.animation = 'none';
+            setTimeout(() => {
+                celda.style.animation = '';
+                celda.classList.add('correct');
+
+                // Confeti solo en la primera y última letra
+                if (index === 0 || index === celdas.length - 1) {
+                    crearConfeti(celda);
+                }
+            }, 10);
+        }, index * 80);
+    });
+
+    // Sonido de éxito (puedes añadir un audio)
+    setTimeout(() => {
+        const gridContainer = document.getElementById('grid-container');
+        gridContainer.classList.add('success-animation');
+        setTimeout(() => gridContainer.classList.remove('success-animation'), 800);
+    }, celdas.length * 80);
+}
+
+/**
+ * Calcula la puntuación final combinando aciertos, ayudas y velocidad
+ * @param {Object} datos - {correctas, total, penalizacion, segundos}; segundos es null sin temporizador
+ * @returns {Object} - {puntos, bonusVelocidad}
+ */
+function calcularPuntuacion({ correctas, total, penalizacion, segundos }) {
+    let bonusVelocidad = 0;
+    if (segundos !== null && total > 0) {
+        // Cada segundo ahorrado sobre el tiempo objetivo suma, en proporción a los aciertos
+        const objetivo = crucigramaActual.palabrasColocadas.length * TIEMPO_OBJETIVO_POR_PALABRA;
+        bonusVelocidad = Math.round(Math.max(0, objetivo - segundos) * (correctas / total));
+    }
+
+    return {
+        puntos: Math.max(0, correctas * PUNTOS_POR_LETRA - penalizacion + bonusVelocidad),
+        bonusVelocidad
+    };
+}
+
+/**
+ * Verifica las respuestas del usuario con animaciones mejoradas
+ */
+function verificarRespuestas() {
+    if (!crucigramaActual) {
+        notificar('Primero genera un crucigrama.', { tipo: 'aviso' });
+        return;
+    }
+    if (avisarSiEnPausa()) return;
+
+    // Verificar cierra el intento cronometrado
+    const conTiempo = crucigramaActual.tiempo.modo !== 'sin';
+    const primerIntento = !crucigramaActual.tiempo.terminado;
+    const segundos = conTiempo ? detenerTemporizador() : null;
+
+    registrarEstadisticasCrucigrama();
+
+    const inputs = document.querySelectorAll('.grid-cell input');
+    let correctas = 0;
+    let avisos = 0;
+    let reveladas = 0;
+    let total = inputs.length;
+    let palabrasCompletasCorrectas = 0;
+
+    // Limpiar clases anteriores
+    inputs.forEach(input => {
+        input.parentElement.classList.remove('correct', 'incorrect', 'accent-warning');
+    });
+
+    // Verificar cada letra primero
+    inputs.forEach(input => {
+        const celda = input.parentElement;
+        const resultado = compararLetra(input.value, input.dataset.respuesta);
+
+        // Las letras reveladas no cuentan como aciertos del alumno
+        if (celda.classList.contains('revealed')) {
+            reveladas++;
+        } else if (resultado === 'correcta') {
+            correctas++;
+        } else if (resultado === 'aviso') {
+            correctas++;
+            avisos++;
+            celda.classList.add('accent-warning');
+        } else if (resultado === 'incorrecta') {
+            celda.classList.add('incorrect');
+        }
+    });
+
+    // Verificar palabras completas
+    crucigramaActual.palabrasColocadas.forEach((palabraInfo, index) => {
+        setTimeout(() => {
+            const { todasCorrectas, celdas } = verificarPalabraCompleta(palabraInfo);
+            if (todasCorrectas) {
+                palabrasCompletasCorrectas++;
+                animarPalabraCorrecta(celdas);
+            }
+        }, index * 100);
+    });
+
+    // Mostrar resultados con delay para que se vean las animaciones
+    setTimeout(() => {
+        const porcentaje = Math.round((correctas / total) * 100);
+        const totalPalabras = crucigramaActual.palabrasColocadas.length;
+        const { penalizacion } = crucigramaActual.ayudas;
+        const { puntos, bonusVelocidad } = calcularPuntuacion({ correctas, total, penalizacion, segundos });
+        const detallesPuntos = [
+            penalizacion > 0 ? `−${penalizacion} por ayudas` : '',
+            bonusVelocidad > 0 ? `+${bonusVelocidad} por velocidad` : ''
+        ].filter(Boolean);
+
+        const resumen = [
+            porcentaje === 100
+                ? '🎉 ¡PERFECTO! Has completado el crucigrama correctamente.'
+                : `Has acertado ${correctas} de ${total} letras (${porcentaje}%)`,
+            porcentaje === 100
+                ? `${palabrasCompletasCorrectas} palabras de ${totalPalabras}`
+                : `${palabrasCompletasCorrectas} ${palabrasCompletasCorrectas === 1 ? 'palabra completa' : 'palabras completas'} de ${totalPalabras}`,
+            avisos > 0 ? `⚠️ ${avisos} ${avisos === 1 ? 'letra aceptada' : 'letras aceptadas'} sin tilde` : '',
+            reveladas > 0 ? `🔍 ${reveladas} ${reveladas === 1 ? 'letra revelada' : 'letras reveladas'} (no cuentan como aciertos)` : '',
+            conTiempo ? `⏱️ Tiempo: ${formatearTiempo(segundos)}` : '',
+            detallesPuntos.length > 0 ? `Puntuación: ${puntos} (${detallesPuntos.join(', ')})` : `Puntuación: ${puntos}`
+        ].filter(Boolean);
+
+        if (conTiempo && primerIntento && porcentaje === 100) {
+            registrarMejorTiempo(segundos, puntos);
+        }
+
+        // Las soluciones solo se enseñan con la partida terminada; antes
+        // bastaría con verificar para copiarlas
+        const terminada = porcentaje === 100
+            || crucigramaActual.tiempo.agotado
+            || document.getElementById('pistas-container').classList.contains('mostrar-solucion');
+        if (!terminada) {
+            resumen.push('Las soluciones de las palabras sin acertar se verán al terminar el crucigrama.');
+        }
+
+        guardarProgreso();
+        mostrarResultados(resumen, terminada);
+
+        if (porcentaje === 100) {
+            celebrarVictoria();
+        }
+    }, crucigramaActual.palabrasColocadas.length * 100 + 500);
+}
+
+/**
+ * Celebración especial cuando se completa todo el crucigrama
+ */
+function celebrarVictoria() {
+    const container = document.querySelector('.container');
+    container.style.animation = 'none';
+    setTimeout(() => {
+        container.style.animation = '';
+
+        // Confeti masivo
+        for (let i = 0; i < 50; i++) {
+            setTimeout(() => {
+                const x = Math.random() * window.innerWidth;
+                const y = Math.random() * window.innerHeight;
+                const fakeElement = document.createElement('div');
+                fakeElement.style.position = 'fixed';
+                fakeElement.style.left = x + 'px';
+                fakeElement.style.top = y + 'px';
+                document.body.appendChild(fakeElement);
+                crearConfeti(fakeElement);
+                setTimeout(() => fakeElement.remove(), 100);
+            }, i * 30);
+        }
+    }, 10);
+}
+
+/**
+ * Panel de resultados: el resumen de la verificación y una tarjeta por
+ * palabra con la respuesta del alumno, la solución y su ficha de vocabulario
+ * @param {Array<string>} resumen - Líneas del resumen
+ */
+function mostrarResultados(resumen, conSolucion) {
+    const area = document.getElementById('results-area');
+    const listaResumen = document.getElementById('results-summary');
+    const lista = document.getElementById('results-list');
+    if (!area || !listaResumen || !lista) return;
+
+    listaResumen.innerHTML = '';
+    resumen.forEach(linea => {
+        const li = document.createElement('li');
+        li.textContent = linea;
+        listaResumen.appendChild(li);
+    });
+
+    // Mismo orden que las pistas: primero horizontales y luego verticales
+    const ordenadas = [...crucigramaActual.palabrasColocadas].sort((a, b) =>
+        (a.orientacion === b.orientacion ? 0 : a.orientacion === 'horizontal' ? -1 : 1) || a.numero - b.numero);
+
+    lista.innerHTML = '';
+    ordenadas.forEach(palabraInfo => lista.appendChild(crearTarjetaResultado(palabraInfo, conSolucion)));
+
+    actualizarBotonMarcadas();
+    area.hidden = false;
+    area.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    // El foco pasa al título para que los lectores de pantalla lean el resultado
+    document.getElementById('results-title').focus({ preventScroll: true });
+}
+
+function ocultarResultados() {
+    const area = document.getElementById('results-area');
+    if (area) area.hidden = true;
+}
+
+/**
+ * Letras que ha escrito el alumno en una palabra, con · en las casillas vacías
+ * y separadas como la solución cuando es una expresión de varias palabras
+ */
+function obtenerRespuestaAlumno(palabraInfo) {
+    const letras = obtenerCeldasPalabra(palabraInfo)
+        .map(celda => celda.querySelector('input').value.toUpperCase() || '·')
+        .join('');
+
+    const longitudes = (palabraInfo.enumeracion || '').match(/\d+/g);
+    if (!longitudes) return letras;
+
+    let inicio = 0;
+    return longitudes.map(longitud => {
+        const parte = letras.slice(inicio, inicio + Number(longitud));
+        inicio += Number(longitud);
+        return parte;
+    }).join(' ');
+}
+
+const ESTADOS_RESULTADO = {
+    acertada: { texto: 'Correcta', clase: 'result-card--ok' },
+    fallada: { texto: 'Incorrecta', clase: 'result-card--error' },
+    revelada: { texto: 'Con ayuda', clase: 'result-card--revealed' },
+    vacia: { texto: 'Sin responder', clase: 'result-card--empty' }
+};
+
+// Campos de la ficha de vocabulario, en el orden en que se muestran
+const CAMPOS_FICHA = [
+    { campo: 'Traducción (Inglés)', etiqueta: 'Traducción' },
+    { campo: 'Parte del discurso', etiqueta: 'Categoría' },
+    { campo: 'Frase de Ejemplo', etiqueta: 'Ejemplo', traduccion: 'Traducción al inglés de la frase de ejemplo' },
+    { campo: 'Notas', etiqueta: 'Notas' },
+    { campo: 'Combinaciones', etiqueta: 'Combinaciones' },
+    { campo: 'Morfología', etiqueta: 'Morfología' }
+];
+
+/**
+ * Tarjeta de una palabra en el panel de resultados. Con la partida a medias,
+ * las palabras sin acertar ni revelar solo muestran la respuesta del alumno.
+ * @param {Object} palabraInfo - Palabra colocada
+ * @param {boolean} conSolucion - Si la partida ha terminado
+ * @returns {HTMLLIElement}
+ */
+function crearTarjetaResultado(palabraInfo, conSolucion) {
+    const resultado = obtenerResultadoPalabra(palabraInfo);
+    const revelada = obtenerCeldasPalabra(palabraInfo).some(celda => celda.classList.contains('revealed'));
+    const estado = ESTADOS_RESULTADO[revelada ? 'revelada' : resultado === 'acertada' ? 'acertada' : resultado ? 'fallada' : 'vacia'];
+    const visible = conSolucion || revelada || resultado === 'acertada';
+
+    const li = document.createElement('li');
+    li.className = `result-card ${estado.clase}`;
+
+    const cabecera = document.createElement('div');
+    cabecera.className = 'result-card__header';
+
+    const titulo = document.createElement('strong');
+    titulo.className = 'result-card__word';
+    titulo.textContent = visible ? palabraInfo.original || palabraInfo.palabra : describirPalabra(palabraInfo);
+
+    const posicion = document.createElement('span');
+    posicion.className = 'result-card__clue';
+    posicion.textContent = visible
+        ? `${describirPalabra(palabraInfo)} · ${formatearPista(palabraInfo)}`
+        : formatearPista(palabraInfo);
+
+    const etiqueta = document.createElement('span');
+    etiqueta.className = 'result-card__status';
+    etiqueta.textContent = estado.texto;
+
+    const marcada = Boolean(palabrasMarcadas[obtenerClaveMarcada(palabraInfo)]);
+    const estrella = document.createElement('button');
+    estrella.type = 'button';
+    estrella.className = 'result-card__star';
+    estrella.textContent = marcada ? '★' : '☆';
+    estrella.setAttribute('aria-pressed', marcada ? 'true' : 'false');
+    estrella.setAttribute('aria-label', `Marcar «${titulo.textContent}» para repasar`);
+    estrella.addEventListener('click', () => {
+        const ahoraMarcada = alternarPalabraMarcada(palabraInfo);
+        estrella.textContent = ahoraMarcada ? '★' : '☆';
+        estrella.setAttribute('aria-pressed', ahoraMarcada ? 'true' : 'false');
+    });
+
+    cabecera.appendChild(estrella);
+    cabecera.appendChild(titulo);
+    cabecera.appendChild(etiqueta);
+
+    const respuestas = document.createElement('p');
+    respuestas.className = 'result-card__answers';
+    respuestas.innerHTML = '<span>Tu respuesta:</span> <code></code>';
+    respuestas.querySelector('code').textContent = obtenerRespuestaAlumno(palabraInfo);
+    if (visible) {
+        const etiquetaSolucion = document.createElement('span');
+        etiquetaSolucion.textContent = 'Solución:';
+        const codigoSolucion = document.createElement('code');
+        codigoSolucion.textContent = (palabraInfo.original || palabraInfo.palabra).toUpperCase();
+        respuestas.append(' ', etiquetaSolucion, ' ', codigoSolucion);
+    }
+
+    li.appendChild(cabecera);
+    li.appendChild(posicion);
+    li.appendChild(respuestas);
+    // La ficha (traducción, ejemplo...) también delataría la palabra
+    if (!visible) return li;
+
+    const registro = palabraInfo.registro;
+    const ficha = document.createElement('dl');
+    ficha.className = 'result-card__details';
+    CAMPOS_FICHA.forEach(({ campo, etiqueta: nombre, traduccion }) => {
+        const valor = registro?.[campo];
+        if (!valor) return;
+
+        const dt = document.createElement('dt');
+        dt.textContent = nombre;
+        const dd = document.createElement('dd');
+        dd.textContent = valor;
+        if (traduccion && registro[traduccion]) {
+            const secundario = document.createElement('span');
+            secundario.className = 'result-card__translation';
+            secundario.textContent = registro[traduccion];
+            dd.appendChild(secundario);
+        }
+        ficha.appendChild(dt);
+        ficha.appendChild(dd);
+    });
+    if (ficha.children.length > 0) li.appendChild(ficha);
+
+    return li;
+}
+
+function cargarPalabrasMarcadas() {
+    try {
+        const guardadas = JSON.parse(localStorage.getItem(CLAVE_PALABRAS_MARCADAS));
+        return guardadas && typeof guardadas === 'object' ? guardadas : {};
+    } catch (error) {
+        console.warn('No se pudieron leer las palabras marcadas:', error);
+        return {};
+    }
+}
+
+function guardarPalabrasMarcadas() {
+    try {
+        localStorage.setItem(CLAVE_PALABRAS_MARCADAS, JSON.stringify(palabrasMarcadas));
+    } catch (error) {
+        console.warn('No se pudieron guardar las palabras marcadas:', error);
+    }
+}
+
+function obtenerClaveMarcada(palabraInfo) {
+    return obtenerClaveEstadistica(palabraInfo.registro) || (palabraInfo.original || palabraInfo.palabra).toLowerCase();
+}
+
+/**
+ * Marca o desmarca una palabra. Se guarda una copia del registro para poder
+ * descargarla aunque el crucigrama ya no exista.
+ * @returns {boolean} - true si la palabra queda marcada
+ */
+function alternarPalabraMarcada(palabraInfo) {
+    const clave = obtenerClaveMarcada(palabraInfo);
+
+    if (palabrasMarcadas[clave]) {
+        delete palabrasMarcadas[clave];
+    } else {
+        palabrasMarcadas[clave] = {
+            fecha: Date.now(),
+            registro: palabraInfo.registro || {
+                "Unidad Léxica (Español)": palabraInfo.original || palabraInfo.palabra,
+                "Traducción (Inglés)": palabraInfo.pista || ''
+            }
+        };
+    }
+
+    guardarPalabrasMarcadas();
+    actualizarBotonMarcadas();
+    return Boolean(palabrasMarcadas[clave]);
+}
+
+function actualizarBotonMarcadas() {
+    const boton = document.getElementById('download-starred');
+    if (!boton) return;
+
+    const total = Object.keys(palabrasMarcadas).length;
+    boton.textContent = `Descargar palabras marcadas (${total})`;
+    boton.disabled = total === 0;
+}
+
+/**
+ * Descarga las palabras marcadas en CSV. Las columnas son las que entiende la
+ * importación de listas propias, así la lista se puede volver a cargar.
+ */
+function descargarPalabrasMarcadas() {
+    const columnas = [
+        ['Palabra', 'Unidad Léxica (Español)'],
+        ['Traducción', 'Traducción (Inglés)'],
+        ['Categoría', 'Parte del discurso'],
+        ['Frase', 'Frase de Ejemplo'],
+        ['Traducción de la frase', 'Traducción al inglés de la frase de ejemplo'],
+        ['Notas', 'Notas'],
+        ['Combinaciones', 'Combinaciones'],
+        ['Morfología', 'Morfología']
+    ];
+    const celdaCsv = valor => `"${String(valor || '').replace(/"/g, '""')}"`;
+
+    const filas = Object.values(palabrasMarcadas)
+        .sort((a, b) => a.fecha - b.fecha)
+        .map(({ registro }) => columnas.map(([, campo]) => celdaCsv(registro[campo])).join(','));
+
+    const csv = [columnas.map(([titulo]) => celdaCsv(titulo)).join(','), ...filas].join('\r\n');
+    // La marca BOM hace que las hojas de cálculo lean bien las tildes
+    descargarArchivo('\ufeff' + csv, 'text/csv;charset=utf-8', 'palabras-marcadas.csv');
+}
+
+/**
+ * Verifica automáticamente mientras el usuario escribe
+ */
+function configurarVerificacionAutomatica() {
+    if (verificacionAutomaticaConfigurada) return;
+    verificacionAutomaticaConfigurada = true;
+
+    const container = document.getElementById('grid-container');
+    container.addEventListener('input', (e) => {
+        if (e.target.tagName === 'INPUT' && crucigramaActual) {
+            const input = e.target;
+            const celda = input.parentElement;
+            const x = parseInt(celda.dataset.x);
+            const y = parseInt(celda.dataset.y);
+
+            // Verificar si esta letra completa alguna palabra
+            setTimeout(() => {
+                const completadas = [];
+                crucigramaActual.palabrasColocadas.forEach(palabraInfo => {
+                    const { todasCorrectas, avisos, celdas } = verificarPalabraCompleta(palabraInfo);
+                    if (todasCorrectas && !celdas[0].classList.contains('correct')) {
+                        animarPalabraCorrecta(celdas);
+                        if (avisos > 0) marcarAvisosAcentos(celdas);
+                        completadas.push(describirPalabra(palabraInfo));
+                    }
+                });
+                actualizarPistasCompletadas();
+                if (completadas.length > 0) {
+                    anunciar(`Correcto: ${completadas.join(' y ')}.`);
+                }
+            }, 100);
+        }
+    });
+}
+
+function cargarEstadisticasPalabras() {
+    try {
+        const guardadas = JSON.parse(localStorage.getItem(CLAVE_ESTADISTICAS_PALABRAS));
+        return guardadas && typeof guardadas === 'object' ? guardadas : {};
+    } catch (error) {
+        console.warn('No se pudieron leer las estadísticas de palabras:', error);
+        return {};
+    }
+}
+
+function guardarEstadisticasPalabras() {
+    try {
+        localStorage.setItem(CLAVE_ESTADISTICAS_PALABRAS, JSON.stringify(estadisticasPalabras));
+    } catch (error) {
+        console.warn('No se pudieron guardar las estadísticas de palabras:', error);
+    }
+}
+
+/**
+ * Clave de una palabra en las estadísticas. Es la unidad léxica en español,
+ * así cuenta igual en la dirección directa y en la inversa.
+ */
+function obtenerClaveEstadistica(registro) {
+    return String(registro?.["Unidad Léxica (Español)"] || '').trim().toLowerCase();
+}
+
+/**
+ * Apunta el resultado de una palabra y la pasa a la caja que le toca
+ * @param {Object} registro - Registro del JSON o de una lista propia
+ * @param {string} resultado - 'acertada' o 'fallada'
+ * @param {number} ahora - Marca de tiempo del intento
+ */
+function registrarResultadoPalabra(registro, resultado, ahora = Date.now()) {
+    const clave = obtenerClaveEstadistica(registro);
+    if (!clave) return;
+
+    const estadistica = estadisticasPalabras[clave] ||
+        { vistas: 0, acertadas: 0, falladas: 0, ultimaVez: null, caja: 0, proximoRepaso: null };
+    estadistica.vistas++;
+    estadistica.ultimaVez = ahora;
+
+    if (resultado === 'acertada') {
+        estadistica.acertadas++;
+        estadistica.caja = Math.min(estadistica.caja + 1, INTERVALOS_REPASO.length - 1);
+    } else {
+        estadistica.falladas++;
+        estadistica.caja = 0;
+    }
+    estadistica.proximoRepaso = ahora + INTERVALOS_REPASO[estadistica.caja] * MS_POR_DIA;
+
+    estadisticasPalabras[clave] = estadistica;
+}
+
+/**
+ * Celdas del grid que ocupa una palabra colocada, en orden
+ */
+function obtenerCeldasPalabra(palabraInfo) {
+    const { palabra, x, y, orientacion } = palabraInfo;
+    const dx = orientacion === 'horizontal' ? 1 : 0;
+    const dy = orientacion === 'vertical' ? 1 : 0;
+    return Array.from({ length: palabra.length }, (_, i) =>
+        document.querySelector(`.grid-cell[data-x="${x + dx * i}"][data-y="${y + dy * i}"]`)
+    ).filter(Boolean);
+}
+
+/**
+ * Resultado de una palabra del grid: acertada si el alumno la escribió entera
+ * sin letras reveladas, fallada si reveló letras o escribió algo mal y null si
+ * aún no la ha tocado
+ */
+function obtenerResultadoPalabra(palabraInfo) {
+    const { palabra } = palabraInfo;
+
+    let escritas = 0;
+    let correctas = 0;
+    let reveladas = 0;
+
+    obtenerCeldasPalabra(palabraInfo).forEach((celda, i) => {
+        const input = celda.querySelector('input');
+        if (celda.classList.contains('revealed')) {
+            reveladas++;
+        } else if (input.value) {
+            escritas++;
+            const resultado = compararLetra(input.value, palabra[i]);
+            if (resultado === 'correcta' || resultado === 'aviso') correctas++;
+        }
+    });
+
+    if (reveladas > 0) return 'fallada';
+    if (escritas === 0) return null;
+    if (correctas === palabra.length) return 'acertada';
+    return escritas === palabra.length || correctas < escritas ? 'fallada' : null;
+}
+
+/**
+ * Apunta en las estadísticas las palabras del crucigrama actual que ya tienen
+ * un resultado. Cada palabra se apunta una sola vez por crucigrama: cuenta el
+ * primer intento que se verifica.
+ */
+function registrarEstadisticasCrucigrama() {
+    const registradas = new Set(crucigramaActual.palabrasRegistradas || []);
+    const ahora = Date.now();
+
+    crucigramaActual.palabrasColocadas.forEach((palabraInfo, index) => {
+        if (registradas.has(index) || !palabraInfo.registro) return;
+
+        const resultado = obtenerResultadoPalabra(palabraInfo);
+        if (!resultado) return;
+
+        registrarResultadoPalabra(palabraInfo.registro, resultado, ahora);
+        registradas.add(index);
+    });
+
+    crucigramaActual.palabrasRegistradas = Array.from(registradas);
+    guardarEstadisticasPalabras();
+    actualizarBotonRepaso();
+}
+
+/**
+ * Peso de una palabra en el modo de repaso: las que tienen el repaso pendiente
+ * y las que más se fallan salen antes. Las nunca vistas pesan 1.
+ */
+function calcularPesoRepaso(registro, ahora = Date.now()) {
+    const estadistica = estadisticasPalabras[obtenerClaveEstadistica(registro)];
+    if (!estadistica || estadistica.proximoRepaso === null) return 1;
+
+    const intentos = estadistica.acertadas + estadistica.falladas;
+    const tasaFallos = intentos > 0 ? estadistica.falladas / intentos : 0;
+    const vencida = estadistica.proximoRepaso <= ahora;
+
+    return (1 + PESO_REPASO_FALLOS * tasaFallos) * (vencida ? PESO_REPASO_VENCIDA : 1);
+}
+
+/**
+ * Palabras de la lista que conviene repasar: con el repaso pendiente y falladas alguna vez
+ */
+function obtenerPalabrasDebiles(palabras, ahora = Date.now()) {
+    return palabras.filter(item => {
+        const estadistica = estadisticasPalabras[obtenerClaveEstadistica(item)];
+        return estadistica && estadistica.falladas > 0 &&
+            estadistica.proximoRepaso !== null && estadistica.proximoRepaso <= ahora;
+    });
+}
+
+function actualizarBotonRepaso() {
+    const boton = document.getElementById('repaso-btn');
+    if (!boton || baseDeDatosPalabras.length === 0) return;
+
+    const debiles = obtenerPalabrasDebiles(obtenerPalabrasPorUnidades(Array.from(unidadesSeleccionadas))).length;
+    boton.textContent = debiles > 0 ? `Repasar palabras débiles (${debiles})` : 'Repasar palabras débiles';
+    boton.title = debiles > 0
+        ? `${debiles} ${debiles === 1 ? 'palabra fallada toca' : 'palabras falladas tocan'} repaso en estas unidades`
+        : 'Aún no hay palabras falladas pendientes de repaso en estas unidades';
+}
+
+/**
+ * Lee del hash de la URL un crucigrama compartido
+ * (#s=semilla&u=U5,U6&n=10&g=20&min=3&max=12&d=directa&c=...&ge=...&p=ingles&a=estricto)
+ * @returns {Object|null} - Parámetros del crucigrama o null si no hay semilla
+ */
+function leerPuzzleDesdeUrl() {
+    const parametros = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    const semilla = parametros.get('s');
+    if (!semilla || !/^[0-9a-z]+$/i.test(semilla)) return null;
+
+    const lista = clave => (parametros.get(clave) || '').split(',').filter(Boolean);
+
+    return {
+        semilla,
+        // El catálogo aún no está cargado: aquí se validan solo los caracteres y
+        // descartarUnidadesDesconocidas quita después las que no existan
+        unidades: lista('u').filter(id => /^[\w.-]+$/.test(id)),
+        configuracion: {
+            numPalabras: parametros.get('n'),
+            tamanoGrid: parametros.get('g'),
+            longitudMin: parametros.get('min'),
+            longitudMax: parametros.get('max')
+        },
+        direccion: parametros.get('d'),
+        categorias: lista('c'),
+        generos: lista('ge'),
+        modoPistas: parametros.get('p'),
+        modoAcentos: parametros.get('a')
+    };
+}
+
+/**
+ * Quita de la selección las unidades del enlace que no están en el catálogo
+ * cargado (otra versión del diccionario, listas propias de otro navegador) y
+ * lo avisa, porque el crucigrama ya no será el mismo que el compartido
+ * @param {Object} puzzle - Resultado de leerPuzzleDesdeUrl
+ * @returns {boolean} - false si no queda ninguna unidad con la que generarlo
+ */
+function descartarUnidadesDesconocidas(puzzle) {
+    const desconocidas = puzzle.unidades.filter(id =>
+        !catalogoUnidades.unidades.has(id)
+        && !catalogoUnidades.secciones.has(id)
+        && !listasPropias.some(lista => lista.id === id));
+    if (desconocidas.length === 0) return true;
+
+    desconocidas.forEach(id => unidadesSeleccionadas.delete(id));
+
+    if (unidadesSeleccionadas.size === 0) {
+        notificar('Ninguna de las unidades del enlace existe en este diccionario. Elige unidades y genera un crucigrama nuevo.', {
+            tipo: 'error',
+            duracion: 0
+        });
+        return false;
+    }
+
+    notificar(`El enlace incluye unidades que no existen en este diccionario (${desconocidas.join(', ')}). El crucigrama se ha generado sin ellas y puede no coincidir con el compartido.`, {
+        tipo: 'aviso',
+        duracion: 0
+    });
+    return true;
+}
+
+/**
+ * Aplica al estado global los parámetros de un enlace compartido. Los ajustes
+ * solo se usan en esta sesión: no sustituyen a los guardados por el usuario.
+ * @param {Object} puzzle - Resultado de leerPuzzleDesdeUrl
+ */
+function aplicarPuzzleCompartido(puzzle) {
+    if (puzzle.unidades.length > 0) {
+        unidadesSeleccionadas = new Set(puzzle.unidades);
+    }
+
+    configuracion = normalizarConfiguracion({ ...configuracion, ...Object.fromEntries(
+        Object.entries(puzzle.configuracion).filter(([, valor]) => valor !== null)
+    ) });
+
+    if (DIRECCIONES_JUEGO[puzzle.direccion]) direccionJuego = puzzle.direccion;
+    if (MODOS_PISTAS[puzzle.modoPistas]) modoPistas = puzzle.modoPistas;
+    if (MODOS_ACENTOS[puzzle.modoAcentos]) modoAcentos = puzzle.modoAcentos;
+
+    const categorias = puzzle.categorias.filter(id => CATEGORIAS_GRAMATICALES.some(categoria => categoria.id === id));
+    const generos = puzzle.generos.filter(id => GENEROS_GRAMATICALES.some(genero => genero.id === id));
+    if (categorias.length > 0) {
+        filtrosGramaticales = { categorias: new Set(categorias), generos: new Set(generos) };
+    }
+}
+
+/**
+ * Parámetros que determinan el grid de un crucigrama con las unidades y
+ * ajustes actuales. Sirven también como identificador de la partida.
+ * @param {string} semilla - Semilla del crucigrama
+ * @returns {Object} - Parámetros para el hash de la URL
+ */
+function obtenerParametrosPuzzle(semilla) {
+    return {
+        s: semilla,
+        u: Array.from(unidadesSeleccionadas).join(','),
+        n: String(configuracion.numPalabras),
+        g: String(configuracion.tamanoGrid),
+        min: String(configuracion.longitudMin),
+        max: String(configuracion.longitudMax),
+        d: direccionJuego,
+        c: Array.from(filtrosGramaticales.categorias).join(','),
+        ge: Array.from(filtrosGramaticales.generos).join(',')
+    };
+}
+
+/**
+ * Escribe en el hash de la URL todo lo necesario para reproducir el crucigrama
+ * @param {Object} crucigrama - Crucigrama con sus parámetros de generación
+ */
+function actualizarUrlPuzzle(crucigrama) {
+    // Los crucigramas importados no se pueden reproducir desde la URL
+    if (!crucigrama.parametros) {
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        return;
+    }
+
+    const parametros = new URLSearchParams({
+        ...crucigrama.parametros,
+        p: modoPistas,
+        a: modoAcentos
+    });
+
+    history.replaceState(null, '', `#${parametros.toString()}`);
+}
+
+/**
+ * Copia al portapapeles el enlace del crucigrama actual
+ */
+async function compartirCrucigrama() {
+    if (!crucigramaActual) {
+        notificar('Primero genera un crucigrama.', { tipo: 'aviso' });
+        return;
+    }
+
+    if (crucigramaActual.repaso) {
+        notificar('Los crucigramas de repaso salen de tu historial en este navegador y no se pueden compartir por enlace. Usa «Exportar .ipuz» para enviarlo.', { tipo: 'aviso' });
+        return;
+    }
+
+    if (!crucigramaActual.parametros) {
+        notificar('Este crucigrama no sale del generador y no se puede compartir por enlace. Usa «Exportar .ipuz» para enviarlo.', { tipo: 'aviso' });
+        return;
+    }
+
+    if (crucigramaActual.parametros.u.split(',').some(id => id.startsWith(PREFIJO_LISTA_PROPIA))) {
+        notificar('Este crucigrama usa listas propias, que solo existen en este navegador. Usa «Exportar .ipuz» para enviarlo.', { tipo: 'aviso' });
+        return;
+    }
+
+    // El modo de pistas o de corrección puede haber cambiado tras generar
+    actualizarUrlPuzzle(crucigramaActual);
+
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        notificar('Enlace copiado. Quien lo abra verá exactamente este crucigrama.', { tipo: 'exito' });
+    } catch (error) {
+        console.error('No se pudo copiar el enlace:', error);
+        mostrarDialogo({
+            titulo: 'Compartir enlace',
+            mensaje: 'No se pudo copiar automáticamente. Copia este enlace para compartir el crucigrama:',
+            campo: window.location.href,
+            botones: [{ texto: 'Cerrar', valor: true, principal: true }]
+        });
+    }
+}
+
+function inicializarPanelImpresion() {
+    const impresionBtn = document.getElementById('print-btn');
+    const panel = document.getElementById('print-tooltip');
+    if (!impresionBtn || !panel) return;
+
+    impresionBtn.addEventListener('click', () => toggleImpresion());
+
+    document.getElementById('print-action').addEventListener('click', () => {
+        toggleImpresion(false);
+        imprimirCrucigrama(document.getElementById('print-solucionario').checked);
+    });
+    document.getElementById('download-worksheet').addEventListener('click', () => descargarSvg(false));
+    document.getElementById('download-key').addEventListener('click', () => descargarSvg(true));
+    document.getElementById('export-ipuz').addEventListener('click', exportarIpuz);
+
+    // Imprimir desde el navegador (Ctrl+P) saca la hoja del crucigrama que
+    // hay en pantalla, sin solucionario; al terminar el área se vacía para no
+    // reimprimir un crucigrama anterior
+    window.addEventListener('beforeprint', () => {
+        if (!impresionPreparada) prepararAreaImpresion(false);
+    });
+    window.addEventListener('afterprint', () => {
+        impresionPreparada = false;
+        document.getElementById('print-area').innerHTML = '';
+    });
+
+    const archivoIpuz = document.getElementById('import-ipuz');
+    archivoIpuz.addEventListener('change', () => {
+        const [archivo] = archivoIpuz.files;
+        archivoIpuz.value = '';
+        if (!archivo) return;
+        toggleImpresion(false);
+        importarIpuz(archivo);
+    });
+
+    document.addEventListener('click', (event) => {
+        if (!panel.classList.contains('visible')) return;
+        if (!panel.contains(event.target) && event.target !== impresionBtn) {
+            toggleImpresion(false);
+        }
+    });
+
+    panel.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            toggleImpresion(false);
+            impresionBtn.focus();
+        }
+    });
+}
+
+function toggleImpresion(forceState) {
+    const panel = document.getElementById('print-tooltip');
+    const impresionBtn = document.getElementById('print-btn');
+    if (!panel || !impresionBtn) return;
+
+    const shouldShow = typeof forceState === 'boolean'
+        ? forceState
+        : !panel.classList.contains('visible');
+
+    if (shouldShow) {
+        toggleTooltip(false);
+        toggleAjustes(false);
+        togglePartidas(false);
+    }
+
+    panel.classList.toggle('visible', shouldShow);
+    impresionBtn.setAttribute('aria-expanded', shouldShow ? 'true' : 'false');
+
+    if (shouldShow) {
+        panel.focus({ preventScroll: true });
+    }
+}
+
+// Medidas de la hoja impresa en milímetros (A4 vertical)
+const PAGINA_A4 = { ancho: 210, alto: 297, margen: 15 };
+// true mientras imprime el botón de la aplicación, que ya ha preparado el área
+let impresionPreparada = false;
+const TAMANO_CELDA_IMPRESION = 8;
+const FUENTE_IMPRESION = "'Segoe UI', Arial, sans-serif";
+
+function escaparXml(texto) {
+    return String(texto)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parte un texto en líneas de como mucho maxCaracteres sin cortar palabras
+ */
+function partirEnLineas(texto, maxCaracteres) {
+    const lineas = [];
+    let actual = '';
+
+    texto.split(/\s+/).forEach(palabra => {
+        if (actual && (actual.length + 1 + palabra.length) > maxCaracteres) {
+            lineas.push(actual);
+            actual = palabra;
+        } else {
+            actual = actual ? `${actual} ${palabra}` : palabra;
+        }
+    });
+
+    if (actual) lineas.push(actual);
+    return lineas;
+}
+
+/**
+ * Dibuja el grid como elementos SVG recortado a las celdas ocupadas
+ * @param {Object} crucigrama - Crucigrama con grid y palabras colocadas
+ * @param {Object} opciones - {x, y, anchoMax, altoMax, conLetras}
+ * @returns {Object} - {svg, alto}
+ */
+function crearGridSvg(crucigrama, { x, y, anchoMax, altoMax, conLetras }) {
+    const { grid, palabrasColocadas } = crucigrama;
+    let minX = grid.size, minY = grid.size, maxX = -1, maxY = -1;
+
+    for (let fila = 0; fila < grid.size; fila++) {
+        for (let col = 0; col < grid.size; col++) {
+            if (grid.obtenerCelda(col, fila) === null) continue;
+            minX = Math.min(minX, col);
+            maxX = Math.max(maxX, col);
+            minY = Math.min(minY, fila);
+            maxY = Math.max(maxY, fila);
+        }
+    }
+
+    if (maxX < 0) return { svg: '', alto: 0 };
+
+    const columnas = maxX - minX + 1;
+    const filas = maxY - minY + 1;
+    const celda = Math.min(TAMANO_CELDA_IMPRESION, anchoMax / columnas, altoMax / filas);
+    const origenX = x + (anchoMax - columnas * celda) / 2;
+
+    const numeros = new Map();
+    palabrasColocadas.forEach(palabra => {
+        numeros.set(`${palabra.x},${palabra.y}`, palabra.numero);
+    });
+
+    const partes = [];
+    for (let fila = minY; fila <= maxY; fila++) {
+        for (let col = minX; col <= maxX; col++) {
+            const letra = grid.obtenerCelda(col, fila);
+            if (letra === null) continue;
+
+            const cx = origenX + (col - minX) * celda;
+            const cy = y + (fila - minY) * celda;
+            partes.push(`<rect x="${cx.toFixed(2)}" y="${cy.toFixed(2)}" width="${celda.toFixed(2)}" height="${celda.toFixed(2)}" fill="#fff" stroke="#000" stroke-width="0.3"/>`);
+
+            const numero = numeros.get(`${col},${fila}`);
+            if (numero !== undefined) {
+                partes.push(`<text x="${(cx + celda * 0.08).toFixed(2)}" y="${(cy + celda * 0.3).toFixed(2)}" font-size="${(celda * 0.28).toFixed(2)}">${numero}</text>`);
+            }
+
+            if (conLetras) {
+                partes.push(`<text x="${(cx + celda / 2).toFixed(2)}" y="${(cy + celda * 0.78).toFixed(2)}" font-size="${(celda * 0.6).toFixed(2)}" text-anchor="middle" font-weight="600">${escaparXml(letra)}</text>`);
+            }
+        }
+    }
+
+    return { svg: `<g>${partes.join('')}</g>`, alto: filas * celda };
+}
+
+/**
+ * Maqueta la hoja del alumno o el solucionario en páginas A4 SVG.
+ * Las pistas se reparten en dos columnas y continúan en páginas nuevas si no caben.
+ * @param {Object} crucigrama - Crucigrama actual
+ * @param {boolean} solucionario - true para rellenar las letras y añadir las respuestas
+ * @returns {string[]} - Un documento SVG por página
+ */
+function crearPaginasSvg(crucigrama, solucionario) {
+    const { ancho, alto, margen } = PAGINA_A4;
+    const anchoUtil = ancho - margen * 2;
+    const separacion = 6;
+    const anchoColumna = (anchoUtil - separacion) / 2;
+    const tamanoPista = 3.2;
+    const interlineado = 4.3;
+    const maxCaracteres = Math.floor(anchoColumna / (tamanoPista * 0.5));
+
+    const unidades = (crucigrama.parametros?.u || '').split(',').filter(Boolean).map(id => {
+        const unidad = obtenerUnidad(id);
+        return unidad ? unidad.nombre : id;
+    });
+
+    // Cabecera y grid de la primera página
+    const cabecera = [];
+    let y = margen + 7;
+    cabecera.push(`<text x="${margen}" y="${y}" font-size="7" font-weight="700">${solucionario ? 'Solucionario' : 'Crucigrama de vocabulario'}</text>`);
+    y += 6;
+    if (unidades.length > 0) {
+        partirEnLineas(unidades.join(' · '), Math.floor(anchoUtil / 1.8)).forEach(linea => {
+            cabecera.push(`<text x="${margen}" y="${y}" font-size="3.6" fill="#444">${escaparXml(linea)}</text>`);
+            y += 4.6;
+        });
+    }
+    if (!solucionario) {
+        y += 4;
+        cabecera.push(`<text x="${margen}" y="${y}" font-size="4">Nombre: ____________________________________</text>`);
+        cabecera.push(`<text x="${margen + anchoUtil * 0.68}" y="${y}" font-size="4">Fecha: ______________</text>`);
+    }
+    y += 7;
+
+    const { svg: gridSvg, alto: altoGrid } = crearGridSvg(crucigrama, {
+        x: margen, y, anchoMax: anchoUtil, altoMax: alto * 0.48, conLetras: solucionario
+    });
+    cabecera.push(gridSvg);
+    y += altoGrid + 10;
+
+    // Bloques de pistas: un título por sección y cada pista con sus líneas juntas
+    const bloques = [];
+    const ordenadas = [...crucigrama.palabrasColocadas].sort((a, b) => a.numero - b.numero);
+    [['horizontal', 'Horizontales'], ['vertical', 'Verticales']].forEach(([orientacion, titulo]) => {
+        bloques.push({ titulo });
+        ordenadas.filter(palabra => palabra.orientacion === orientacion).forEach(palabra => {
+            const respuesta = solucionario ? ` → ${palabra.original || palabra.palabra}` : '';
+            bloques.push({ lineas: partirEnLineas(`${palabra.numero}. ${formatearPista(palabra)}${respuesta}`, maxCaracteres) });
+        });
+    });
+
+    const paginas = [cabecera];
+    const limite = alto - margen;
+    let columna = 0;
+    let inicioPistas = y;
+
+    bloques.forEach(bloque => {
+        const altoBloque = bloque.titulo ? interlineado * 2 : bloque.lineas.length * interlineado + 1;
+
+        if (y + altoBloque > limite) {
+            if (columna === 0) {
+                columna = 1;
+            } else {
+                columna = 0;
+                paginas.push([]);
+                inicioPistas = margen;
+            }
+            y = inicioPistas;
+        }
+
+        const pagina = paginas[paginas.length - 1];
+        const x = margen + columna * (anchoColumna + separacion);
+
+        if (bloque.titulo) {
+            pagina.push(`<text x="${x}" y="${(y + interlineado).toFixed(2)}" font-size="4.2" font-weight="700">${bloque.titulo}</text>`);
+        } else {
+            bloque.lineas.forEach((linea, i) => {
+                pagina.push(`<text x="${x + (i > 0 ? 4 : 0)}" y="${(y + interlineado * (i + 1)).toFixed(2)}" font-size="${tamanoPista}">${escaparXml(linea)}</text>`);
+            });
+        }
+        y += altoBloque;
+    });
+
+    return paginas.map(pagina =>
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${ancho}mm" height="${alto}mm" viewBox="0 0 ${ancho} ${alto}" font-family="${FUENTE_IMPRESION}">` +
+        `<rect width="${ancho}" height="${alto}" fill="#fff"/>${pagina.join('')}</svg>`
+    );
+}
+
+/**
+ * Rellena el área de impresión con la hoja (y el solucionario) y abre el diálogo de imprimir.
+ * Desde ese diálogo se puede guardar también como PDF.
+ */
+function imprimirCrucigrama(conSolucionario) {
+    if (!crucigramaActual) {
+        notificar('Primero genera un crucigrama.', { tipo: 'aviso' });
+        return;
+    }
+
+    prepararAreaImpresion(conSolucionario);
+    impresionPreparada = true;
+    window.print();
+}
+
+/**
+ * Dibuja en el área de impresión la hoja del crucigrama actual (y, si se
+ * pide, el solucionario)
+ */
+function prepararAreaImpresion(conSolucionario) {
+    const area = document.getElementById('print-area');
+    if (!area) return;
+
+    if (!crucigramaActual) {
+        area.innerHTML = '<p>Genera un crucigrama para imprimir su hoja de trabajo.</p>';
+        return;
+    }
+
+    const paginas = crearPaginasSvg(crucigramaActual, false);
+    if (conSolucionario) {
+        paginas.push(...crearPaginasSvg(crucigramaActual, true));
+    }
+    area.innerHTML = paginas.map(svg => `<div class="print-page">${svg}</div>`).join('');
+}
+
+/**
+ * Descarga la hoja o el solucionario como un único SVG con las páginas apiladas
  */
-class Grid {
-    constructor(size) {
-        this.size = size;
-        this.cells = Array(size).fill(null).map(() => Array(size).fill(null));
+function descargarSvg(solucionario) {
+    if (!crucigramaActual) {
+        notificar('Primero genera un crucigrama.', { tipo: 'aviso' });
+        return;
     }
-    
-    esValido(x, y) {
-        return x >= 0 && x < this.size && y >= 0 && y < this.size;
+
+    const { ancho, alto } = PAGINA_A4;
+    const paginas = crearPaginasSvg(crucigramaActual, solucionario);
+    const altoTotal = alto * paginas.length;
+    // Dentro del SVG exterior las unidades ya son milímetros: cada página
+    // pierde su tamaño en mm para no dibujarse 3,8 veces más grande
+    const contenido = paginas
+        .map((svg, i) => svg.replace(
+            `width="${ancho}mm" height="${alto}mm"`,
+            `y="${alto * i}" width="${ancho}" height="${alto}"`
+        ))
+        .join('');
+    const documento = `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${ancho}mm" height="${altoTotal}mm" viewBox="0 0 ${ancho} ${altoTotal}">${contenido}</svg>`;
+
+    descargarArchivo(documento, 'image/svg+xml', `${obtenerNombreArchivo()}${solucionario ? '-solucion' : ''}.svg`);
+}
+
+function obtenerNombreArchivo() {
+    return `crucigrama-${crucigramaActual.semilla || crucigramaActual.id.replace(/[^0-9a-z]+/gi, '-')}`;
+}
+
+function descargarArchivo(contenido, tipo, nombre) {
+    const enlace = document.createElement('a');
+    enlace.href = URL.createObjectURL(new Blob([contenido], { type: tipo }));
+    enlace.download = nombre;
+    document.body.appendChild(enlace);
+    enlace.click();
+    enlace.remove();
+    setTimeout(() => URL.revokeObjectURL(enlace.href), 0);
+}
+
+// Formato abierto de crucigramas: http://ipuz.org
+const IPUZ_VERSION = 'http://ipuz.org/v2';
+const IPUZ_TIPO_CRUCIGRAMA = 'http://ipuz.org/crossword#1';
+const IPUZ_BLOQUE = '#';
+const IPUZ_DIRECCIONES = { Across: 'horizontal', Down: 'vertical' };
+
+/**
+ * Convierte el crucigrama al formato ipuz, recortado a las celdas ocupadas
+ * @param {Object} crucigrama - Crucigrama con grid y palabras colocadas
+ * @returns {Object} - Documento ipuz
+ */
+function crearIpuz(crucigrama) {
+    const { grid, palabrasColocadas } = crucigrama;
+    let minX = grid.size, minY = grid.size, maxX = -1, maxY = -1;
+
+    palabrasColocadas.forEach(palabra => {
+        const dx = palabra.orientacion === 'horizontal' ? 1 : 0;
+        const dy = palabra.orientacion === 'vertical' ? 1 : 0;
+        minX = Math.min(minX, palabra.x);
+        minY = Math.min(minY, palabra.y);
+        maxX = Math.max(maxX, palabra.x + dx * (palabra.palabra.length - 1));
+        maxY = Math.max(maxY, palabra.y + dy * (palabra.palabra.length - 1));
+    });
+
+    const numeros = new Map();
+    palabrasColocadas.forEach(palabra => numeros.set(`${palabra.x},${palabra.y}`, palabra.numero));
+
+    const puzzle = [];
+    const solution = [];
+    for (let y = minY; y <= maxY; y++) {
+        const filaPuzzle = [];
+        const filaSolucion = [];
+        for (let x = minX; x <= maxX; x++) {
+            const letra = grid.obtenerCelda(x, y);
+            filaPuzzle.push(letra === null ? IPUZ_BLOQUE : numeros.get(`${x},${y}`) || 0);
+            filaSolucion.push(letra === null ? IPUZ_BLOQUE : letra);
+        }
+        puzzle.push(filaPuzzle);
+        solution.push(filaSolucion);
     }
-    
-    obtenerCelda(x, y) {
-        if (!this.esValido(x, y)) return null;
-        return this.cells[y][x];
+
+    const clues = {};
+    Object.entries(IPUZ_DIRECCIONES).forEach(([direccion, orientacion]) => {
+        clues[direccion] = palabrasColocadas
+            .filter(palabra => palabra.orientacion === orientacion)
+            .sort((a, b) => a.numero - b.numero)
+            .map(palabra => {
+                const pista = { number: palabra.numero, clue: obtenerTextoPista(palabra), answer: palabra.original || palabra.palabra };
+                if (palabra.enumeracion) pista.enumeration = palabra.enumeracion.replace(/^\(|\)$/g, '');
+                return pista;
+            });
+    });
+
+    return {
+        version: IPUZ_VERSION,
+        kind: [IPUZ_TIPO_CRUCIGRAMA],
+        title: `Crucigrama de ${crucigrama.descripcion || 'vocabulario'}`,
+        origin: 'Generador de Crucigramas',
+        date: new Date().toISOString().slice(0, 10),
+        dimensions: { width: maxX - minX + 1, height: maxY - minY + 1 },
+        block: IPUZ_BLOQUE,
+        empty: 0,
+        puzzle,
+        solution,
+        clues
+    };
+}
+
+function exportarIpuz() {
+    if (!crucigramaActual) {
+        notificar('Primero genera un crucigrama.', { tipo: 'aviso' });
+        return;
     }
-    
-    establecerCelda(x, y, valor) {
-        if (this.esValido(x, y)) {
-            this.cells[y][x] = valor;
+
+    const ipuz = crearIpuz(crucigramaActual);
+    descargarArchivo(JSON.stringify(ipuz, null, 2), 'application/json', `${obtenerNombreArchivo()}.ipuz`);
+}
+
+/**
+ * Valor de una celda ipuz, que puede venir como valor suelto o como objeto
+ */
+function leerCeldaIpuz(celda, campo) {
+    return celda !== null && typeof celda === 'object' ? celda[campo] : celda;
+}
+
+function esBloqueIpuz(valor, bloque) {
+    return valor === null || valor === undefined || valor === bloque || valor === IPUZ_BLOQUE;
+}
+
+/**
+ * Valida un documento ipuz y lo convierte en palabras colocadas
+ * @param {Object} ipuz - Documento ipuz ya parseado
+ * @returns {Object} - {errores, palabrasColocadas, tamano, titulo}
+ */
+function leerIpuz(ipuz) {
+    const errores = [];
+    const resultado = { errores, palabrasColocadas: [], tamano: 0, titulo: '' };
+
+    if (!ipuz || typeof ipuz !== 'object' || Array.isArray(ipuz)) {
+        errores.push('El archivo no contiene un objeto ipuz.');
+        return resultado;
+    }
+
+    const tipos = Array.isArray(ipuz.kind) ? ipuz.kind : [];
+    if (!tipos.some(tipo => typeof tipo === 'string' && tipo.startsWith('http://ipuz.org/crossword'))) {
+        errores.push('El campo «kind» debe indicar un crucigrama (http://ipuz.org/crossword).');
+    }
+
+    const ancho = ipuz.dimensions?.width;
+    const alto = ipuz.dimensions?.height;
+    const maximo = LIMITES_CONFIGURACION.tamanoGrid.max;
+    if (!Number.isInteger(ancho) || !Number.isInteger(alto) || ancho < 2 || alto < 2) {
+        errores.push('Faltan las dimensiones del grid («dimensions.width» y «dimensions.height»).');
+        return resultado;
+    }
+    if (ancho > maximo || alto > maximo) {
+        errores.push(`El grid mide ${ancho}×${alto}; el máximo admitido es ${maximo}×${maximo}.`);
+        return resultado;
+    }
+
+    const tieneForma = tabla => Array.isArray(tabla) && tabla.length === alto &&
+        tabla.every(fila => Array.isArray(fila) && fila.length === ancho);
+
+    if (!tieneForma(ipuz.puzzle)) {
+        errores.push(`«puzzle» debe tener ${alto} filas de ${ancho} celdas.`);
+    }
+    if (!tieneForma(ipuz.solution)) {
+        errores.push(`«solution» debe tener ${alto} filas de ${ancho} celdas; sin solución no se pueden comprobar las respuestas.`);
+    }
+    if (errores.length > 0) return resultado;
+
+    const bloque = ipuz.block ?? IPUZ_BLOQUE;
+    const letraEn = (x, y) => {
+        const valor = leerCeldaIpuz(ipuz.solution[y][x], 'value');
+        return esBloqueIpuz(valor, bloque) || esBloqueIpuz(leerCeldaIpuz(ipuz.puzzle[y][x], 'cell'), bloque)
+            ? null
+            : String(valor).toUpperCase();
+    };
+
+    const posiciones = new Map();
+    for (let y = 0; y < alto; y++) {
+        for (let x = 0; x < ancho; x++) {
+            const numero = leerCeldaIpuz(ipuz.puzzle[y][x], 'cell');
+            if (numero !== null && numero !== undefined && numero !== bloque && Number(numero) > 0) {
+                posiciones.set(String(numero), { x, y });
+            }
+
+            const letra = letraEn(x, y);
+            if (letra !== null && [...letra].length !== 1) {
+                errores.push(`La celda (${x + 1}, ${y + 1}) tiene «${letra}» como solución; solo se admite una letra por celda.`);
+            }
+        }
+    }
+    if (errores.length > 0) return resultado;
+
+    const clues = ipuz.clues && typeof ipuz.clues === 'object' ? ipuz.clues : {};
+
+    Object.entries(clues).forEach(([clave, lista]) => {
+        // Las direcciones pueden llevar etiqueta propia: "Across:Horizontales"
+        const orientacion = IPUZ_DIRECCIONES[clave.split(':')[0]];
+        if (!orientacion) {
+            errores.push(`Dirección de pistas no admitida: «${clave}».`);
+            return;
+        }
+        if (!Array.isArray(lista)) {
+            errores.push(`Las pistas «${clave}» deben ser una lista.`);
+            return;
         }
+
+        const dx = orientacion === 'horizontal' ? 1 : 0;
+        const dy = orientacion === 'vertical' ? 1 : 0;
+
+        lista.forEach(entrada => {
+            const pista = Array.isArray(entrada)
+                ? { number: entrada[0], clue: entrada[1] }
+                : (entrada && typeof entrada === 'object' ? entrada : { clue: entrada });
+            const numero = String(pista.number ?? '');
+            const texto = typeof pista.clue === 'string' ? pista.clue.trim() : '';
+            const inicio = posiciones.get(numero);
+
+            if (!inicio) {
+                errores.push(`La pista ${numero || 'sin número'} (${clave}) no corresponde a ninguna celda numerada.`);
+                return;
+            }
+            if (!texto) {
+                errores.push(`La pista ${numero} (${clave}) no tiene texto.`);
+                return;
+            }
+
+            let letras = '';
+            let x = inicio.x;
+            let y = inicio.y;
+            while (x < ancho && y < alto && letraEn(x, y) !== null) {
+                letras += letraEn(x, y);
+                x += dx;
+                y += dy;
+            }
+
+            if (letras.length < 2) {
+                errores.push(`La pista ${numero} (${clave}) no tiene una palabra de al menos dos letras en el grid.`);
+                return;
+            }
+
+            const respuesta = typeof pista.answer === 'string' ? prepararRespuesta(pista.answer) : null;
+            resultado.palabrasColocadas.push({
+                palabra: letras,
+                x: inicio.x,
+                y: inicio.y,
+                orientacion,
+                pista: texto,
+                original: respuesta && respuesta.letras === letras ? respuesta.original : letras,
+                enumeracion: pista.enumeration ? `(${pista.enumeration})` : '',
+                registro: null
+            });
+        });
+    });
+
+    if (errores.length === 0 && resultado.palabrasColocadas.length === 0) {
+        errores.push('El archivo no contiene pistas horizontales ni verticales.');
     }
+
+    resultado.tamano = Math.max(ancho, alto);
+    resultado.titulo = typeof ipuz.title === 'string' ? ipuz.title.replace(/<[^>]*>/g, '').trim() : '';
+    return resultado;
 }
 
 /**
- * Comprueba si una palabra puede colocarse en una posición
- * Esta es la función más compleja: verifica colisiones
- * @param {Grid} grid - El grid del crucigrama
- * @param {string} palabra - La palabra a colocar (en mayúsculas)
- * @param {number} x - Posición X inicial
- * @param {number} y - Posición Y inicial
- * @param {string} orientacion - "horizontal" o "vertical"
- * @param {number} indiceInterseccion - Índice de la letra que intersecta (opcional)
- * @returns {boolean} - true si se puede colocar
+ * Huella corta (FNV-1a) para identificar un crucigrama importado
  */
-function comprobarEspacio(grid, palabra, x, y, orientacion, indiceInterseccion = -1) {
-    const dx = orientacion === "horizontal" ? 1 : 0;
-    const dy = orientacion === "vertical" ? 1 : 0;
-    
-    // Verificar que no se salga de los límites
-    const finalX = x + dx * (palabra.length - 1);
-    const finalY = y + dy * (palabra.length - 1);
-    if (!grid.esValido(finalX, finalY)) return false;
-    
-    // Verificar cada letra de la palabra
-    for (let i = 0; i < palabra.length; i++) {
-        const currentX = x + dx * i;
-        const currentY = y + dy * i;
-        const celdaActual = grid.obtenerCelda(currentX, currentY);
-        const letraActual = palabra[i];
-        
-        // Si hay una letra en esta posición
-        if (celdaActual !== null) {
-            // Debe ser la letra correcta Y debe ser el punto de intersección
-            if (i !== indiceInterseccion || celdaActual !== letraActual) {
-                return false;
-            }
+function calcularHuella(texto) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < texto.length; i++) {
+        hash ^= texto.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Carga en el juego un archivo .ipuz elegido por el usuario
+ * @param {File} archivo - Archivo seleccionado
+ */
+async function importarIpuz(archivo) {
+    let ipuz;
+    try {
+        ipuz = JSON.parse(await archivo.text());
+    } catch (error) {
+        notificar(`No se pudo leer «${archivo.name}»: no es un archivo JSON válido.`, { tipo: 'error' });
+        return;
+    }
+
+    const { errores, palabrasColocadas, tamano, titulo } = leerIpuz(ipuz);
+    if (errores.length > 0) {
+        const lista = errores.slice(0, 8).map(error => `• ${error}`).join('\n');
+        const resto = errores.length > 8 ? `\n… y ${errores.length - 8} errores más.` : '';
+        mostrarDialogo({ titulo: `No se pudo importar «${archivo.name}»`, mensaje: lista + resto });
+        return;
+    }
+
+    const grid = new Grid(tamano);
+    palabrasColocadas.forEach(palabra => {
+        colocarPalabra(grid, palabra.palabra, palabra.x, palabra.y, palabra.orientacion);
+    });
+
+    empezarCrucigramaPropio({
+        grid,
+        palabrasColocadas,
+        direccion: 'directa',
+        id: `ipuz=${calcularHuella(JSON.stringify([ipuz.solution, ipuz.clues]))}`,
+        descripcion: titulo || archivo.name.replace(/\.ipuz$/i, '')
+    });
+}
+
+/**
+ * Pone en juego un crucigrama que no sale del generador (importado o hecho
+ * en el editor). No tiene parámetros de generación, así que no va en la URL.
+ * @param {Object} crucigrama - {grid, palabrasColocadas, direccion, id, descripcion}
+ */
+function empezarCrucigramaPropio(crucigrama) {
+    crucigramaActual = {
+        ...crucigrama,
+        semilla: null,
+        parametros: null,
+        ayudas: crearRegistroAyudas(),
+        tiempo: crearEstadoTiempo()
+    };
+
+    dibujarGrid(crucigramaActual.grid, crucigramaActual.palabrasColocadas);
+    configurarVerificacionAutomatica();
+    actualizarUrlPuzzle(crucigramaActual);
+    toggleEditor(false);
+    ocultarResultados();
+
+    // Un crucigrama ya jugado en este navegador continúa donde se dejó
+    const guardada = cargarPartida(crucigramaActual.id);
+    if (guardada) {
+        aplicarProgresoGuardado(guardada);
+    }
+    guardarProgreso();
+}
+
+/**
+ * Genera el crucigrama con las unidades y ajustes actuales y lo dibuja
+ * @param {string} semilla - Semilla a usar (una nueva si no se indica)
+ * @param {Object} opciones - {repaso}: favorecer las palabras débiles del alumno
+ */
+function generarYMostrarCrucigrama(semilla = generarSemilla(), { repaso = false } = {}) {
+    const unidades = Array.from(unidadesSeleccionadas);
+
+    if (unidades.length === 0) {
+        notificar('Selecciona al menos una unidad léxica antes de generar el crucigrama.', { tipo: 'aviso' });
+        toggleTooltip(true);
+        return;
+    }
+
+    const palabras = obtenerPalabrasPorUnidades(unidades);
+    const descripcionUnidades = obtenerDescripcionUnidades(unidades);
+
+    console.log(`Palabras disponibles para ${descripcionUnidades}: ${palabras.length}`);
+
+    if (palabras.length === 0) {
+        notificar(`No se encontraron palabras para ${descripcionUnidades}.`, { tipo: 'aviso' });
+        return;
+    }
+
+    if (palabras.length < configuracion.numPalabras) {
+        console.warn(`Se pidieron ${configuracion.numPalabras} palabras pero solo hay ${palabras.length} para ${descripcionUnidades}`);
+    }
+
+    if (repaso && obtenerPalabrasDebiles(palabras).length === 0) {
+        notificar(`No tienes palabras falladas pendientes de repaso en ${descripcionUnidades}. Verifica algunos crucigramas y vuelve más tarde.`, { tipo: 'aviso' });
+        return;
+    }
+
+    const ahora = Date.now();
+    const ponderar = repaso ? entrada => calcularPesoRepaso(entrada.registro, ahora) : null;
+    crucigramaActual = generarCrucigrama(palabras, configuracion.numPalabras, configuracion.tamanoGrid, semilla, ponderar);
+
+    if (crucigramaActual) {
+        crucigramaActual.ayudas = crearRegistroAyudas();
+        crucigramaActual.tiempo = crearEstadoTiempo();
+        crucigramaActual.palabrasRegistradas = [];
+        if (repaso) {
+            // Depende del historial de este navegador: la semilla no basta para reproducirlo
+            crucigramaActual.repaso = true;
+            crucigramaActual.parametros = null;
+            crucigramaActual.id = `repaso=${crucigramaActual.semilla}`;
+            crucigramaActual.descripcion = `Repaso de ${descripcionUnidades}`;
         } else {
-            // Si la celda está vacía, verificar que no haya letras adyacentes
-            // (excepto en la dirección de la palabra)
-            if (orientacion === "horizontal") {
-                // Verificar arriba y abajo
-                if (grid.obtenerCelda(currentX, currentY - 1) !== null) return false;
-                if (grid.obtenerCelda(currentX, currentY + 1) !== null) return false;
-            } else {
-                // Verificar izquierda y derecha
-                if (grid.obtenerCelda(currentX - 1, currentY) !== null) return false;
-                if (grid.obtenerCelda(currentX + 1, currentY) !== null) return false;
-            }
+            crucigramaActual.parametros = obtenerParametrosPuzzle(crucigramaActual.semilla);
+            crucigramaActual.id = new URLSearchParams(crucigramaActual.parametros).toString();
+            crucigramaActual.descripcion = descripcionUnidades;
+        }
+
+        dibujarGrid(crucigramaActual.grid, crucigramaActual.palabrasColocadas);
+        configurarVerificacionAutomatica();
+        actualizarUrlPuzzle(crucigramaActual);
+        toggleTooltip(false);
+        toggleEditor(false);
+        ocultarResultados();
+
+        // Un enlace ya jugado en este navegador continúa donde se dejó
+        const guardada = cargarPartida(crucigramaActual.id);
+        if (guardada) {
+            aplicarProgresoGuardado(guardada);
         }
+        guardarProgreso();
     }
-    
-    // Verificar que no haya letras antes del inicio
-    const antesX = x - dx;
-    const antesY = y - dy;
-    if (grid.esValido(antesX, antesY) && grid.obtenerCelda(antesX, antesY) !== null) {
-        return false;
+}
+
+function cargarIndicePartidas() {
+    try {
+        const indice = JSON.parse(localStorage.getItem(CLAVE_INDICE_PARTIDAS) || '[]');
+        return Array.isArray(indice) ? indice : [];
+    } catch (error) {
+        console.warn('No se pudo leer el índice de partidas:', error);
+        return [];
     }
-    
-    // Verificar que no haya letras después del final
-    const despuesX = finalX + dx;
-    const despuesY = finalY + dy;
-    if (grid.esValido(despuesX, despuesY) && grid.obtenerCelda(despuesX, despuesY) !== null) {
-        return false;
+}
+
+/**
+ * Lee una partida guardada
+ * @param {string|null} id - Identificador de la partida
+ * @returns {Object|null} - Partida o null si no existe
+ */
+function cargarPartida(id) {
+    if (!id) return null;
+    try {
+        return JSON.parse(localStorage.getItem(PREFIJO_PARTIDA + id) || 'null');
+    } catch (error) {
+        console.warn('No se pudo leer la partida guardada:', error);
+        return null;
     }
-    
-    return true;
 }
 
 /**
- * Coloca una palabra en el grid
- * @param {Grid} grid - El grid del crucigrama
- * @param {string} palabra - La palabra a colocar (en mayúsculas)
- * @param {number} x - Posición X inicial
- * @param {number} y - Posición Y inicial
- * @param {string} orientacion - "horizontal" o "vertical"
+ * Identificador de la partida que se estaba jugando al cerrar la página
+ * @returns {string|null}
  */
-function colocarPalabra(grid, palabra, x, y, orientacion) {
-    const dx = orientacion === "horizontal" ? 1 : 0;
-    const dy = orientacion === "vertical" ? 1 : 0;
-    
-    for (let i = 0; i < palabra.length; i++) {
-        const currentX = x + dx * i;
-        const currentY = y + dy * i;
-        grid.establecerCelda(currentX, currentY, palabra[i]);
+function leerIdPartidaActual() {
+    try {
+        return localStorage.getItem(CLAVE_PARTIDA_ACTUAL);
+    } catch (error) {
+        console.warn('No se pudo leer la partida en curso:', error);
+        return null;
+    }
+}
+
+function guardarIdPartidaActual(id) {
+    try {
+        localStorage.setItem(CLAVE_PARTIDA_ACTUAL, id);
+    } catch (error) {
+        console.warn('No se pudo guardar la partida en curso:', error);
+    }
+}
+
+/**
+ * Guarda el crucigrama actual con las letras escritas y el estado de
+ * verificación de cada celda. Se llama con cada cambio en el grid.
+ */
+function guardarProgreso() {
+    if (!crucigramaActual || !crucigramaActual.id) return;
+
+    const respuestas = {};
+    const estados = {};
+    let rellenas = 0;
+    const inputs = document.querySelectorAll('.grid-cell input');
+
+    inputs.forEach(input => {
+        const celda = input.parentElement;
+        const clave = `${celda.dataset.x},${celda.dataset.y}`;
+        if (input.value) {
+            respuestas[clave] = input.value;
+            rellenas++;
+        }
+        const clases = ['correct', 'incorrect', 'accent-warning', 'revealed'].filter(clase => celda.classList.contains(clase));
+        if (clases.length > 0) estados[clave] = clases;
+    });
+
+    const partida = {
+        id: crucigramaActual.id,
+        fecha: Date.now(),
+        descripcion: crucigramaActual.descripcion,
+        parametros: crucigramaActual.parametros,
+        semilla: crucigramaActual.semilla,
+        direccion: crucigramaActual.direccion,
+        tamanoGrid: crucigramaActual.grid.size,
+        palabrasColocadas: crucigramaActual.palabrasColocadas,
+        respuestas,
+        estados,
+        ayudas: crucigramaActual.ayudas,
+        repaso: Boolean(crucigramaActual.repaso),
+        palabrasRegistradas: crucigramaActual.palabrasRegistradas || [],
+        // El tramo en curso se consolida; al volver se reanuda con la primera tecla
+        tiempo: {
+            ...crucigramaActual.tiempo,
+            transcurrido: crucigramaActual.tiempo.transcurrido +
+                (crucigramaActual.tiempo.inicio !== null ? Date.now() - crucigramaActual.tiempo.inicio : 0),
+            inicio: null,
+            pausado: false
+        },
+        solucionMostrada: document.getElementById('pistas-container').classList.contains('mostrar-solucion')
+    };
+
+    const resumen = {
+        id: partida.id,
+        fecha: partida.fecha,
+        descripcion: partida.descripcion,
+        palabras: partida.palabrasColocadas.length,
+        progreso: inputs.length > 0 ? Math.round((rellenas / inputs.length) * 100) : 0
+    };
+
+    const indice = [resumen, ...cargarIndicePartidas().filter(item => item.id !== partida.id)];
+
+    try {
+        localStorage.setItem(PREFIJO_PARTIDA + partida.id, JSON.stringify(partida));
+        localStorage.setItem(CLAVE_PARTIDA_ACTUAL, partida.id);
+
+        // Las partidas más antiguas se descartan al superar el máximo
+        indice.slice(MAX_PARTIDAS_GUARDADAS).forEach(item => localStorage.removeItem(PREFIJO_PARTIDA + item.id));
+        localStorage.setItem(CLAVE_INDICE_PARTIDAS, JSON.stringify(indice.slice(0, MAX_PARTIDAS_GUARDADAS)));
+    } catch (error) {
+        console.warn('No se pudo guardar el progreso:', error);
     }
+
+    renderizarPartidasGuardadas();
 }
 
 /**
- * Encuentra posiciones válidas para colocar una palabra que intersecte con una palabra existente
- * @param {Grid} grid - El grid del crucigrama
- * @param {Object} palabraAncla - Objeto con información de la palabra ancla
- * @param {string} nuevaPalabra - La nueva palabra a colocar
- * @param {string} nuevaOrientacion - Orientación de la nueva palabra
- * @returns {Array|null} - [x, y, indiceNuevaPalabra, indiceAncla] o null
- */
-function encontrarInterseccion(grid, palabraAncla, nuevaPalabra, nuevaOrientacion) {
-    const anclaWord = palabraAncla.palabra;
-    const anclaOrientacion = palabraAncla.orientacion;
-    
-    // Buscar letras comunes
-    for (let i = 0; i < nuevaPalabra.length; i++) {
-        for (let j = 0; j < anclaWord.length; j++) {
-            if (nuevaPalabra[i] === anclaWord[j]) {
-                // Calcular la posición donde colocar la nueva palabra
-                let nuevoX, nuevoY;
-                
-                if (anclaOrientacion === "horizontal" && nuevaOrientacion === "vertical") {
-                    nuevoX = palabraAncla.x + j;
-                    nuevoY = palabraAncla.y - i;
-                } else if (anclaOrientacion === "vertical" && nuevaOrientacion === "horizontal") {
-                    nuevoX = palabraAncla.x - i;
-                    nuevoY = palabraAncla.y + j;
-                } else {
-                    continue; // Misma orientación, no es válido
-                }
-                
-                // Verificar si se puede colocar
-                if (comprobarEspacio(grid, nuevaPalabra, nuevoX, nuevoY, nuevaOrientacion, i)) {
-                    return [nuevoX, nuevoY, i, j];
-                }
-            }
-        }
-    }
-    
-    return null;
+ * Reconstruye y dibuja una partida guardada con su progreso
+ * @param {Object} partida - Partida leída de localStorage
+ */
+function restaurarPartida(partida) {
+    const grid = new Grid(partida.tamanoGrid);
+    partida.palabrasColocadas.forEach(palabra => {
+        colocarPalabra(grid, palabra.palabra, palabra.x, palabra.y, palabra.orientacion);
+    });
+
+    crucigramaActual = {
+        grid,
+        palabrasColocadas: partida.palabrasColocadas,
+        direccion: partida.direccion,
+        semilla: partida.semilla,
+        parametros: partida.parametros,
+        id: partida.id,
+        descripcion: partida.descripcion,
+        repaso: Boolean(partida.repaso),
+        ayudas: crearRegistroAyudas(),
+        tiempo: crearEstadoTiempo()
+    };
+
+    dibujarGrid(crucigramaActual.grid, crucigramaActual.palabrasColocadas);
+    configurarVerificacionAutomatica();
+    aplicarProgresoGuardado(partida);
+    actualizarUrlPuzzle(crucigramaActual);
+    toggleEditor(false);
+    ocultarResultados();
+    guardarIdPartidaActual(partida.id);
+    renderizarPartidasGuardadas();
 }
 
 /**
- * Genera un crucigrama completo
- * @param {Array} palabrasDisponibles - Array de objetos de palabras
- * @param {number} numPalabras - Número de palabras a colocar
- * @returns {Object} - {grid, palabrasColocadas}
+ * Escribe en el grid dibujado las letras y estados de una partida guardada
+ * @param {Object} partida - Partida leída de localStorage
  */
-function generarCrucigrama(palabrasDisponibles, numPalabras) {
-    if (palabrasDisponibles.length === 0) {
-        alert('No hay palabras disponibles para esta unidad.');
-        return null;
+function aplicarProgresoGuardado(partida) {
+    document.querySelectorAll('.grid-cell input').forEach(input => {
+        const celda = input.parentElement;
+        const clave = `${celda.dataset.x},${celda.dataset.y}`;
+        input.value = partida.respuestas[clave] || '';
+        (partida.estados[clave] || []).forEach(clase => celda.classList.add(clase));
+        input.readOnly = celda.classList.contains('revealed');
+    });
+
+    crucigramaActual.ayudas = { ...crearRegistroAyudas(), ...partida.ayudas };
+    // Partidas guardadas antes de registrar las celdas reveladas en las ayudas
+    if (!Array.isArray(partida.ayudas?.reveladas)) {
+        crucigramaActual.ayudas.reveladas = Object.keys(partida.estados)
+            .filter(clave => partida.estados[clave].includes('revealed'));
     }
-    
-    const grid = new Grid(GRID_SIZE);
-    const palabrasColocadas = [];
-    const palabrasUsadas = new Set();
-    
-    // Mezclar las palabras disponibles
-    const palabrasMezcladas = [...palabrasDisponibles].sort(() => Math.random() - 0.5);
-    
-    // Colocar la primera palabra horizontalmente en el centro
-    const primeraPalabra = palabrasMezcladas[0];
-    const palabraUpper = primeraPalabra["Unidad Léxica (Español)"].toUpperCase();
-    const startX = Math.floor((GRID_SIZE - palabraUpper.length) / 2);
-    const startY = Math.floor(GRID_SIZE / 2);
-    
-    colocarPalabra(grid, palabraUpper, startX, startY, "horizontal");
-    palabrasColocadas.push({
-        palabra: palabraUpper,
-        x: startX,
-        y: startY,
-        orientacion: "horizontal",
-        pista: primeraPalabra["Traducción (Inglés)"] || primeraPalabra["Unidad Léxica (Español)"]
-    });
-    palabrasUsadas.add(primeraPalabra["Unidad Léxica (Español)"].toLowerCase());
-    
-    // Intentar colocar más palabras
-    let palabrasColocadasCount = 1;
-    let intentos = 0;
-    
-    while (palabrasColocadasCount < numPalabras && intentos < MAX_INTENTOS) {
-        intentos++;
-        
-        // Elegir una palabra ancla aleatoria
-        const anclaIndex = Math.floor(Math.random() * palabrasColocadas.length);
-        const palabraAncla = palabrasColocadas[anclaIndex];
-        
-        // Elegir una nueva palabra que no hayamos usado
-        let nuevaPalabraObj = null;
-        for (let i = 0; i < palabrasMezcladas.length; i++) {
-            const candidata = palabrasMezcladas[i];
-            const palabraKey = candidata["Unidad Léxica (Español)"].toLowerCase();
-            if (!palabrasUsadas.has(palabraKey)) {
-                nuevaPalabraObj = candidata;
-                break;
-            }
-        }
-        
-        if (!nuevaPalabraObj) break; // No hay más palabras disponibles
-        
-        const nuevaPalabra = nuevaPalabraObj["Unidad Léxica (Español)"].toUpperCase();
-        const nuevaOrientacion = palabraAncla.orientacion === "horizontal" ? "vertical" : "horizontal";
-        
-        // Intentar encontrar una intersección
-        const interseccion = encontrarInterseccion(grid, palabraAncla, nuevaPalabra, nuevaOrientacion);
-        
-        if (interseccion) {
-            const [nuevoX, nuevoY] = interseccion;
-            colocarPalabra(grid, nuevaPalabra, nuevoX, nuevoY, nuevaOrientacion);
-            palabrasColocadas.push({
-                palabra: nuevaPalabra,
-                x: nuevoX,
-                y: nuevoY,
-                orientacion: nuevaOrientacion,
-                pista: nuevaPalabraObj["Traducción (Inglés)"] || nuevaPalabraObj["Unidad Léxica (Español)"]
-            });
-            palabrasUsadas.add(nuevaPalabraObj["Unidad Léxica (Español)"].toLowerCase());
-            palabrasColocadasCount++;
-            intentos = 0; // Resetear intentos después de un éxito
+    crucigramaActual.palabrasRegistradas = partida.palabrasRegistradas || [];
+    actualizarMarcadorAyudas();
+    actualizarPistasCompletadas();
+
+    if (partida.tiempo) {
+        crucigramaActual.tiempo = { ...crearEstadoTiempo(), ...partida.tiempo };
+        if (crucigramaActual.tiempo.agotado) bloquearGrid();
+    }
+    actualizarTemporizador();
+    renderizarMejoresTiempos();
+
+    // Las palabras ya acertadas se marcan sin repetir la animación
+    crucigramaActual.palabrasColocadas.forEach(palabraInfo => {
+        const { todasCorrectas, celdas } = verificarPalabraCompleta(palabraInfo);
+        if (todasCorrectas) celdas.forEach(celda => celda.classList.add('correct'));
+    });
+
+    document.getElementById('pistas-container').classList.toggle('mostrar-solucion', Boolean(partida.solucionMostrada));
+}
+
+function descartarPartida(id) {
+    try {
+        localStorage.removeItem(PREFIJO_PARTIDA + id);
+        localStorage.setItem(CLAVE_INDICE_PARTIDAS, JSON.stringify(cargarIndicePartidas().filter(item => item.id !== id)));
+        if (localStorage.getItem(CLAVE_PARTIDA_ACTUAL) === id) {
+            localStorage.removeItem(CLAVE_PARTIDA_ACTUAL);
         }
+    } catch (error) {
+        console.warn('No se pudo borrar la partida guardada:', error);
     }
-    
-    console.log(`Crucigrama generado con ${palabrasColocadasCount} palabras`);
-    return { grid, palabrasColocadas };
+    renderizarPartidasGuardadas();
 }
 
-/**
- * Dibuja el grid en el HTML
- * @param {Grid} grid - El grid del crucigrama
- * @param {Array} palabrasColocadas - Array de palabras colocadas
- */
-function dibujarGrid(grid, palabrasColocadas) {
-    const container = document.getElementById('grid-container');
-    container.innerHTML = '';
+function inicializarPartidasGuardadas() {
+    const partidasBtn = document.getElementById('saved-btn');
+    const panel = document.getElementById('saved-tooltip');
+    if (!partidasBtn || !panel) return;
 
-    // Resetear el estado de escritura actual al redibujar el grid
-    estadoEntrada = { palabraIndex: null, orientacion: null };
+    partidasBtn.addEventListener('click', () => togglePartidas());
 
-    // Crear un mapa de celdas y las palabras a las que pertenecen
-    const cellWordsMap = new Map();
-    palabrasColocadas.forEach((palabraInfo, palabraIndex) => {
-        const dx = palabraInfo.orientacion === 'horizontal' ? 1 : 0;
-        const dy = palabraInfo.orientacion === 'vertical' ? 1 : 0;
-        for (let i = 0; i < palabraInfo.palabra.length; i++) {
-            const cellX = palabraInfo.x + dx * i;
-            const cellY = palabraInfo.y + dy * i;
-            const key = `${cellX},${cellY}`;
-            if (!cellWordsMap.has(key)) {
-                cellWordsMap.set(key, []);
-            }
-            cellWordsMap.get(key).push({
-                palabraIndex,
-                orientacion: palabraInfo.orientacion,
-                letraIndex: i
-            });
-        }
-    });
-    
-    // Encontrar los límites del grid usado
-    let minX = GRID_SIZE, maxX = 0, minY = GRID_SIZE, maxY = 0;
-    for (let y = 0; y < GRID_SIZE; y++) {
-        for (let x = 0; x < GRID_SIZE; x++) {
-            if (grid.obtenerCelda(x, y) !== null) {
-                minX = Math.min(minX, x);
-                maxX = Math.max(maxX, x);
-                minY = Math.min(minY, y);
-                maxY = Math.max(maxY, y);
-            }
+    document.addEventListener('click', (event) => {
+        if (!panel.classList.contains('visible')) return;
+        if (!panel.contains(event.target) && event.target !== partidasBtn) {
+            togglePartidas(false);
         }
-    }
-    
-    // Añadir margen
-    minX = Math.max(0, minX - 1);
-    maxX = Math.min(GRID_SIZE - 1, maxX + 1);
-    minY = Math.max(0, minY - 1);
-    maxY = Math.min(GRID_SIZE - 1, maxY + 1);
-    
-    const anchoGrid = maxX - minX + 1;
-    const altoGrid = maxY - minY + 1;
-    
-    // Configurar el grid CSS
-    container.style.gridTemplateColumns = `repeat(${anchoGrid}, 40px)`;
-    container.style.gridTemplateRows = `repeat(${altoGrid}, 40px)`;
-    
-    // Crear mapas para números
-    const numerosMap = new Map();
-    let numeroActual = 1;
-    
-    // Asignar números a las palabras (ordenadas por posición)
-    const palabrasOrdenadas = [...palabrasColocadas].sort((a, b) => {
-        if (a.y !== b.y) return a.y - b.y;
-        return a.x - b.x;
     });
-    
-    palabrasOrdenadas.forEach(palabra => {
-        const key = `${palabra.x},${palabra.y}`;
-        if (!numerosMap.has(key)) {
-            numerosMap.set(key, numeroActual);
-            palabra.numero = numeroActual;
-            numeroActual++;
-        } else {
-            palabra.numero = numerosMap.get(key);
+
+    panel.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            togglePartidas(false);
+            partidasBtn.focus();
         }
     });
-    
-    // Dibujar el grid
-    for (let y = minY; y <= maxY; y++) {
-        for (let x = minX; x <= maxX; x++) {
-            const celda = grid.obtenerCelda(x, y);
-            const div = document.createElement('div');
-            div.className = 'grid-cell';
-            div.dataset.x = x;
-            div.dataset.y = y;
-            
-            if (celda !== null) {
-                const input = document.createElement('input');
-                input.type = 'text';
-                input.maxLength = 1;
-                input.dataset.respuesta = celda;
-                const cellKey = `${x},${y}`;
-                input.dataset.words = JSON.stringify(cellWordsMap.get(cellKey) || []);
 
-                // Navegación con teclado
-                input.addEventListener('focus', (e) => {
-                    seleccionarPalabraDesdeInput(e.target);
-                });
+    renderizarPartidasGuardadas();
+}
 
-                input.addEventListener('input', (e) => {
-                    e.target.value = e.target.value.toUpperCase();
-                    seleccionarPalabraDesdeInput(e.target);
-                    if (e.target.value) {
-                        moverEnPalabra(e.target, 1);
-                    }
-                });
+function togglePartidas(forceState) {
+    const panel = document.getElementById('saved-tooltip');
+    const partidasBtn = document.getElementById('saved-btn');
+    if (!panel || !partidasBtn) return;
 
-                input.addEventListener('keydown', (e) => {
-                    if (e.key === 'Backspace' && !e.target.value) {
-                        seleccionarPalabraDesdeInput(e.target);
-                        moverEnPalabra(e.target, -1);
-                    }
-                });
+    const shouldShow = typeof forceState === 'boolean'
+        ? forceState
+        : !panel.classList.contains('visible');
 
-                div.appendChild(input);
-                
-                // Añadir número si es el inicio de una palabra
-                if (numerosMap.has(cellKey)) {
-                    const numeroDiv = document.createElement('div');
-                    numeroDiv.className = 'cell-number';
-                    numeroDiv.textContent = numerosMap.get(cellKey);
-                    div.appendChild(numeroDiv);
-                }
-            } else {
-                div.classList.add('empty');
-            }
-            
-            container.appendChild(div);
-        }
+    if (shouldShow) {
+        toggleTooltip(false);
+        toggleAjustes(false);
+    }
+
+    panel.classList.toggle('visible', shouldShow);
+    partidasBtn.setAttribute('aria-expanded', shouldShow ? 'true' : 'false');
+
+    if (shouldShow) {
+        panel.focus({ preventScroll: true });
     }
-    
-    // Dibujar las pistas
-    dibujarPistas(palabrasColocadas);
 }
 
-/**
- * Determina la palabra activa basada en el input seleccionado.
- * @param {HTMLInputElement} input - Input que está activo.
- * @param {string|null} orientacionPreferida - Orientación a priorizar.
- */
-function seleccionarPalabraDesdeInput(input, orientacionPreferida = null) {
-    const data = input.dataset.words ? JSON.parse(input.dataset.words) : [];
-    if (!data.length) {
-        estadoEntrada = { palabraIndex: null, orientacion: null };
+function renderizarPartidasGuardadas() {
+    const lista = document.getElementById('saved-list');
+    const partidasBtn = document.getElementById('saved-btn');
+    if (!lista || !partidasBtn) return;
+
+    const indice = cargarIndicePartidas();
+    partidasBtn.textContent = `Partidas (${indice.length})`;
+    lista.innerHTML = '';
+
+    if (indice.length === 0) {
+        const vacio = document.createElement('li');
+        vacio.className = 'saved-item saved-item--empty';
+        vacio.textContent = 'Todavía no hay partidas guardadas.';
+        lista.appendChild(vacio);
         return;
     }
 
-    let seleccion = null;
+    indice.forEach(item => {
+        const li = document.createElement('li');
+        li.className = 'saved-item';
+        li.classList.toggle('saved-item--current', crucigramaActual?.id === item.id);
 
-    if (orientacionPreferida) {
-        seleccion = data.find(item => item.orientacion === orientacionPreferida) || null;
-    }
+        const details = document.createElement('div');
+        details.className = 'unit-option__details';
 
-    if (!seleccion && estadoEntrada.palabraIndex !== null) {
-        seleccion = data.find(item => item.palabraIndex === estadoEntrada.palabraIndex) || null;
-    }
+        const nombre = document.createElement('strong');
+        nombre.textContent = item.descripcion || 'Crucigrama';
 
-    if (!seleccion) {
-        seleccion = data[0];
-    }
+        const info = document.createElement('span');
+        const fecha = new Date(item.fecha).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' });
+        info.textContent = `${item.palabras} palabras · ${item.progreso}% · ${fecha}`;
 
-    estadoEntrada = {
-        palabraIndex: seleccion.palabraIndex,
-        orientacion: seleccion.orientacion
+        details.appendChild(nombre);
+        details.appendChild(info);
+
+        const continuarBtn = document.createElement('button');
+        continuarBtn.type = 'button';
+        continuarBtn.textContent = 'Continuar';
+        continuarBtn.addEventListener('click', () => {
+            const partida = cargarPartida(item.id);
+            if (!partida) {
+                descartarPartida(item.id);
+                return;
+            }
+            restaurarPartida(partida);
+            togglePartidas(false);
+        });
+
+        const descartarBtn = document.createElement('button');
+        descartarBtn.type = 'button';
+        descartarBtn.textContent = 'Descartar';
+        descartarBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            descartarPartida(item.id);
+        });
+
+        li.appendChild(details);
+        li.appendChild(continuarBtn);
+        li.appendChild(descartarBtn);
+        lista.appendChild(li);
+    });
+}
+
+// Editor manual de crucigramas
+const MAX_PALABRAS_LISTA_EDITOR = 150;
+
+let editor = null;
+
+function crearEstadoEditor(tamano = configuracion.tamanoGrid) {
+    return {
+        grid: new Grid(tamano),
+        palabrasColocadas: [],
+        propias: [],
+        seleccion: null,
+        orientacion: 'horizontal',
+        vista: null
     };
 }
 
+function inicializarEditor() {
+    const editorBtn = document.getElementById('editor-btn');
+    const area = document.getElementById('editor-area');
+    if (!editorBtn || !area) return;
+
+    editor = crearEstadoEditor();
+
+    editorBtn.addEventListener('click', () => toggleEditor());
+    document.getElementById('editor-buscar').addEventListener('input', renderizarPalabrasEditor);
+    document.getElementById('editor-orientacion').addEventListener('click', alternarOrientacionEditor);
+    document.getElementById('editor-autocompletar').addEventListener('click', autocompletarEditor);
+    document.getElementById('editor-desde-actual').addEventListener('click', cargarCrucigramaEnEditor);
+    document.getElementById('editor-vaciar').addEventListener('click', async () => {
+        if (editor.palabrasColocadas.length > 0 && !await confirmar('¿Quitar todas las palabras del grid?', { textoAceptar: 'Vaciar' })) return;
+        editor = { ...crearEstadoEditor(), propias: editor.propias, orientacion: editor.orientacion };
+        renderizarEditor();
+    });
+    document.getElementById('editor-publicar').addEventListener('click', publicarEditor);
+
+    document.getElementById('editor-propia').addEventListener('submit', (event) => {
+        event.preventDefault();
+        anadirPalabraPropia();
+    });
+
+    // R gira la palabra seleccionada mientras se coloca
+    area.addEventListener('keydown', (event) => {
+        if ((event.key === 'r' || event.key === 'R') && !['INPUT', 'TEXTAREA'].includes(event.target.tagName)) {
+            event.preventDefault();
+            alternarOrientacionEditor();
+        }
+    });
+
+    const gridEditor = document.getElementById('editor-grid');
+    gridEditor.addEventListener('mouseover', (event) => previsualizarDesdeEvento(event));
+    gridEditor.addEventListener('mouseleave', () => previsualizarEditor(null));
+    gridEditor.addEventListener('click', (event) => colocarDesdeEvento(event));
+    gridEditor.addEventListener('dragover', (event) => {
+        if (!editor.seleccion) return;
+        event.preventDefault();
+        previsualizarDesdeEvento(event);
+    });
+    gridEditor.addEventListener('drop', (event) => {
+        event.preventDefault();
+        colocarDesdeEvento(event);
+    });
+}
+
+function toggleEditor(forceState) {
+    const area = document.getElementById('editor-area');
+    const juego = document.getElementById('game-area');
+    const editorBtn = document.getElementById('editor-btn');
+    if (!area || !juego || !editorBtn) return;
+
+    const abrir = typeof forceState === 'boolean' ? forceState : area.hidden;
+
+    area.hidden = !abrir;
+    juego.hidden = abrir;
+    editorBtn.textContent = abrir ? 'Volver al juego' : 'Editor';
+    editorBtn.setAttribute('aria-pressed', abrir ? 'true' : 'false');
+
+    if (abrir) {
+        ocultarResultados();
+        // Sin palabras colocadas, el grid vacío toma el tamaño configurado ahora
+        if (editor.palabrasColocadas.length === 0 && editor.grid.size !== configuracion.tamanoGrid) {
+            editor = { ...crearEstadoEditor(), propias: editor.propias, orientacion: editor.orientacion };
+        }
+        document.getElementById('editor-desde-actual').disabled = !crucigramaActual;
+        renderizarEditor();
+    }
+}
+
 /**
- * Mueve el foco dentro de la palabra activa siguiendo su orientación.
- * @param {HTMLInputElement} input - Input de referencia.
- * @param {number} paso - Dirección del movimiento (1 siguiente, -1 anterior).
+ * Entradas que se pueden colocar: las propias primero y luego las de las
+ * unidades seleccionadas, con los mismos filtros que usa el generador
  */
-function moverEnPalabra(input, paso) {
-    if (!crucigramaActual) return;
+function obtenerEntradasEditor() {
+    const registros = obtenerPalabrasPorUnidades(Array.from(unidadesSeleccionadas));
+    return [...editor.propias, ...crearEntradasCrucigrama(registros, direccionJuego)];
+}
 
-    const { palabraIndex, orientacion } = estadoEntrada;
-    if (palabraIndex === null || orientacion === null) return;
+function renderizarEditor() {
+    renderizarPalabrasEditor();
+    renderizarGridEditor();
+    renderizarColocadasEditor();
 
-    const palabraInfo = crucigramaActual.palabrasColocadas[palabraIndex];
-    if (!palabraInfo) return;
+    const orientacionBtn = document.getElementById('editor-orientacion');
+    orientacionBtn.textContent = editor.orientacion === 'horizontal' ? 'Horizontal ⟷' : 'Vertical ↕';
+}
 
-    const data = input.dataset.words ? JSON.parse(input.dataset.words) : [];
-    const datosCelda = data.find(item => item.palabraIndex === palabraIndex);
-    if (!datosCelda) return;
+function renderizarPalabrasEditor() {
+    const lista = document.getElementById('editor-palabras');
+    const filtro = plegarTexto(document.getElementById('editor-buscar').value.trim());
+    const colocadas = new Set(editor.palabrasColocadas.map(palabra => palabra.palabra));
+
+    lista.innerHTML = '';
+
+    const entradas = obtenerEntradasEditor().filter(entrada =>
+        !filtro || plegarTexto(`${entrada.original} ${entrada.pista}`).includes(filtro)
+    );
+
+    if (entradas.length === 0) {
+        const vacio = document.createElement('li');
+        vacio.className = 'editor-palabras__empty';
+        vacio.textContent = baseDeDatosPalabras.length === 0
+            ? 'Cargando palabras…'
+            : 'No hay palabras: elige unidades o añade una palabra propia.';
+        lista.appendChild(vacio);
+        return;
+    }
+
+    entradas.slice(0, MAX_PALABRAS_LISTA_EDITOR).forEach(entrada => {
+        const li = document.createElement('li');
+        const boton = document.createElement('button');
+        boton.type = 'button';
+        boton.className = 'editor-palabra';
+        boton.draggable = true;
+        boton.disabled = colocadas.has(entrada.palabra);
+        boton.classList.toggle('editor-palabra--seleccionada', editor.seleccion?.palabra === entrada.palabra);
+
+        const respuesta = document.createElement('strong');
+        respuesta.textContent = entrada.original;
+        const pista = document.createElement('span');
+        pista.textContent = entrada.pista;
+        boton.append(respuesta, pista);
 
-    const nuevaPosicion = datosCelda.letraIndex + paso;
-    if (nuevaPosicion < 0 || nuevaPosicion >= palabraInfo.palabra.length) return;
+        boton.addEventListener('click', () => seleccionarEntradaEditor(entrada));
+        boton.addEventListener('dragstart', (event) => {
+            event.dataTransfer.setData('text/plain', entrada.original);
+            seleccionarEntradaEditor(entrada);
+        });
 
-    const dx = orientacion === 'horizontal' ? 1 : 0;
-    const dy = orientacion === 'vertical' ? 1 : 0;
-    const nextX = palabraInfo.x + dx * nuevaPosicion;
-    const nextY = palabraInfo.y + dy * nuevaPosicion;
-    const container = document.getElementById('grid-container');
-    const siguienteInput = container.querySelector(`.grid-cell[data-x="${nextX}"][data-y="${nextY}"] input`);
+        li.appendChild(boton);
+        lista.appendChild(li);
+    });
 
-    if (siguienteInput) {
-        siguienteInput.focus();
-        seleccionarPalabraDesdeInput(siguienteInput, orientacion);
+    if (entradas.length > MAX_PALABRAS_LISTA_EDITOR) {
+        const resto = document.createElement('li');
+        resto.className = 'editor-palabras__empty';
+        resto.textContent = `… y ${entradas.length - MAX_PALABRAS_LISTA_EDITOR} más. Usa el buscador para encontrarlas.`;
+        lista.appendChild(resto);
     }
 }
 
-/**
- * Dibuja las pistas en el HTML
- * @param {Array} palabrasColocadas - Array de palabras colocadas
- */
-function dibujarPistas(palabrasColocadas) {
-    const horizontales = document.getElementById('pistas-horizontales');
-    const verticales = document.getElementById('pistas-verticales');
-    
-    horizontales.innerHTML = '';
-    verticales.innerHTML = '';
-    
-    // Ordenar palabras por número
-    const palabrasOrdenadas = [...palabrasColocadas].sort((a, b) => a.numero - b.numero);
-    
-    palabrasOrdenadas.forEach(palabra => {
-        const li = document.createElement('li');
-        li.value = palabra.numero;
-        li.textContent = palabra.pista;
-        
-        if (palabra.orientacion === 'horizontal') {
-            horizontales.appendChild(li);
-        } else {
-            verticales.appendChild(li);
-        }
-    });
+function seleccionarEntradaEditor(entrada) {
+    editor.seleccion = entrada;
+    mostrarEstadoEditor(`Coloca «${entrada.original}»: elige la casilla inicial en el grid (R para girar).`);
+    renderizarPalabrasEditor();
 }
 
-/**
- * Limpia el grid
- */
-function limpiarGrid() {
-    const inputs = document.querySelectorAll('.grid-cell input');
-    inputs.forEach(input => {
-        input.value = '';
-        input.parentElement.classList.remove('correct', 'incorrect');
-    });
+function alternarOrientacionEditor() {
+    editor.orientacion = editor.orientacion === 'horizontal' ? 'vertical' : 'horizontal';
+    document.getElementById('editor-orientacion').textContent =
+        editor.orientacion === 'horizontal' ? 'Horizontal ⟷' : 'Vertical ↕';
+    if (editor.vista) previsualizarEditor(editor.vista);
 }
 
-/**
- * Crea efecto de confeti para celebrar
- */
-function crearConfeti(elemento) {
-    const rect = elemento.getBoundingClientRect();
-    const centerX = rect.left + rect.width / 2;
-    const centerY = rect.top + rect.height / 2;
+function anadirPalabraPropia() {
+    const palabraInput = document.getElementById('editor-propia-palabra');
+    const pistaInput = document.getElementById('editor-propia-pista');
+    const respuesta = prepararRespuesta(palabraInput.value);
+    const pista = pistaInput.value.trim();
 
-    const colors = ['#667eea', '#764ba2', '#10b981', '#f093fb', '#f5576c'];
+    if (!respuesta || respuesta.letras.length < 2) {
+        mostrarEstadoEditor('La respuesta necesita al menos dos letras.', true);
+        return;
+    }
+    if (!pista) {
+        mostrarEstadoEditor('Escribe una pista para la palabra.', true);
+        return;
+    }
+    if (respuesta.letras.length > editor.grid.size) {
+        mostrarEstadoEditor(`«${respuesta.original}» no cabe en un grid de ${editor.grid.size}×${editor.grid.size}.`, true);
+        return;
+    }
 
-    for (let i = 0; i < 12; i++) {
-        const confetti = document.createElement('div');
-        confetti.className = 'confetti-piece';
-        confetti.style.left = centerX + 'px';
-        confetti.style.top = centerY + 'px';
-        confetti.style.background = colors[Math.floor(Math.random() * colors.length)];
+    const entrada = {
+        palabra: respuesta.letras,
+        original: respuesta.original,
+        enumeracion: respuesta.enumeracion,
+        pista,
+        registro: null
+    };
 
-        const angle = (Math.PI * 2 * i) / 12;
-        const velocity = 50 + Math.random() * 50;
-        const tx = Math.cos(angle) * velocity;
-        const ty = Math.sin(angle) * velocity - 100;
+    editor.propias = [entrada, ...editor.propias.filter(propia => propia.palabra !== entrada.palabra)];
+    palabraInput.value = '';
+    pistaInput.value = '';
+    palabraInput.focus();
+    seleccionarEntradaEditor(entrada);
+}
 
-        confetti.style.setProperty('--tx', tx + 'px');
-        confetti.style.setProperty('--ty', ty + 'px');
+function renderizarGridEditor() {
+    const contenedor = document.getElementById('editor-grid');
+    const { grid } = editor;
+    contenedor.innerHTML = '';
+    contenedor.style.gridTemplateColumns = `repeat(${grid.size}, var(--editor-cell-size))`;
 
-        document.body.appendChild(confetti);
+    const inicios = new Set(editor.palabrasColocadas.map(palabra => `${palabra.x},${palabra.y}`));
 
-        setTimeout(() => confetti.remove(), 1000);
+    for (let y = 0; y < grid.size; y++) {
+        for (let x = 0; x < grid.size; x++) {
+            const celda = document.createElement('div');
+            const letra = grid.obtenerCelda(x, y);
+            celda.className = 'editor-cell';
+            celda.dataset.x = x;
+            celda.dataset.y = y;
+            if (letra !== null) {
+                celda.classList.add('editor-cell--llena');
+                celda.textContent = letra;
+            }
+            if (inicios.has(`${x},${y}`)) {
+                celda.classList.add('editor-cell--inicio');
+            }
+            contenedor.appendChild(celda);
+        }
     }
+
+    editor.vista = null;
+}
+
+function obtenerCeldaEditorDesdeEvento(event) {
+    const celda = event.target.closest('.editor-cell');
+    return celda ? { x: Number(celda.dataset.x), y: Number(celda.dataset.y) } : null;
+}
+
+function previsualizarDesdeEvento(event) {
+    const posicion = obtenerCeldaEditorDesdeEvento(event);
+    if (!posicion || !editor.seleccion) return;
+    if (editor.vista && editor.vista.x === posicion.x && editor.vista.y === posicion.y && editor.vista.orientacion === editor.orientacion) return;
+    previsualizarEditor(posicion);
 }
 
 /**
- * Verifica si una palabra completa está correcta
+ * Comprueba si la palabra seleccionada cabe en una posición
+ * @returns {Object} - {valida, motivo, cruces}
  */
-function verificarPalabraCompleta(palabraInfo) {
-    const { palabra, x, y, orientacion } = palabraInfo;
+function validarColocacionEditor(entrada, x, y, orientacion) {
+    const { grid, palabrasColocadas } = editor;
     const dx = orientacion === 'horizontal' ? 1 : 0;
     const dy = orientacion === 'vertical' ? 1 : 0;
 
-    let todasCorrectas = true;
-    const celdas = [];
+    if (palabrasColocadas.some(palabra => palabra.palabra === entrada.palabra)) {
+        return { valida: false, motivo: 'Esa palabra ya está en el grid.' };
+    }
+    if (!grid.esValido(x + dx * (entrada.palabra.length - 1), y + dy * (entrada.palabra.length - 1))) {
+        return { valida: false, motivo: 'La palabra se sale del grid.' };
+    }
+    if (!comprobarEspacio(grid, entrada.palabra, x, y, orientacion)) {
+        return { valida: false, motivo: 'Choca con otras letras o queda pegada a otra palabra.' };
+    }
 
-    for (let i = 0; i < palabra.length; i++) {
-        const currentX = x + dx * i;
-        const currentY = y + dy * i;
-        const celda = document.querySelector(`.grid-cell[data-x="${currentX}"][data-y="${currentY}"]`);
-        const input = celda?.querySelector('input');
+    return { valida: true, cruces: contarCruces(grid, entrada.palabra, x, y, orientacion) };
+}
 
-        if (!input || input.value.toUpperCase() !== palabra[i]) {
-            todasCorrectas = false;
-            break;
-        }
-        celdas.push(celda);
+function previsualizarEditor(posicion) {
+    document.querySelectorAll('#editor-grid .editor-cell--ok, #editor-grid .editor-cell--error').forEach(celda => {
+        celda.classList.remove('editor-cell--ok', 'editor-cell--error');
+        celda.textContent = editor.grid.obtenerCelda(Number(celda.dataset.x), Number(celda.dataset.y)) ?? '';
+    });
+
+    editor.vista = posicion ? { ...posicion, orientacion: editor.orientacion } : null;
+    if (!posicion || !editor.seleccion) return;
+
+    const entrada = editor.seleccion;
+    const { valida, motivo, cruces } = validarColocacionEditor(entrada, posicion.x, posicion.y, editor.orientacion);
+    const dx = editor.orientacion === 'horizontal' ? 1 : 0;
+    const dy = editor.orientacion === 'vertical' ? 1 : 0;
+
+    for (let i = 0; i < entrada.palabra.length; i++) {
+        const celda = document.querySelector(`#editor-grid .editor-cell[data-x="${posicion.x + dx * i}"][data-y="${posicion.y + dy * i}"]`);
+        if (!celda) continue;
+        celda.classList.add(valida ? 'editor-cell--ok' : 'editor-cell--error');
+        celda.textContent = entrada.palabra[i];
     }
 
-    return { todasCorrectas, celdas };
+    mostrarEstadoEditor(valida
+        ? `«${entrada.original}» cabe aquí${cruces > 0 ? ` (${cruces} ${cruces === 1 ? 'cruce' : 'cruces'})` : ''}.`
+        : motivo, !valida);
 }
 
-/**
- * Anima una palabra completada correctamente
- */
-function animarPalabraCorrecta(celdas) {
-    celdas.forEach((celda, index) => {
-        setTimeout(() => {
-            celda.style.animation = 'none';
-            setTimeout(() => {
-                celda.style.animation = '';
-                celda.classList.add('correct');
+function colocarDesdeEvento(event) {
+    const posicion = obtenerCeldaEditorDesdeEvento(event);
+    if (!posicion) return;
 
-                // Confeti solo en la primera y última letra
-                if (index === 0 || index === celdas.length - 1) {
-                    crearConfeti(celda);
-                }
-            }, 10);
-        }, index * 80);
-    });
+    if (!editor.seleccion) {
+        mostrarEstadoEditor('Elige primero una palabra de la lista.');
+        return;
+    }
 
-    // Sonido de éxito (puedes añadir un audio)
-    setTimeout(() => {
-        const gridContainer = document.getElementById('grid-container');
-        gridContainer.classList.add('success-animation');
-        setTimeout(() => gridContainer.classList.remove('success-animation'), 800);
-    }, celdas.length * 80);
+    const entrada = editor.seleccion;
+    const { valida, motivo } = validarColocacionEditor(entrada, posicion.x, posicion.y, editor.orientacion);
+    if (!valida) {
+        mostrarEstadoEditor(motivo, true);
+        return;
+    }
+
+    colocarPalabra(editor.grid, entrada.palabra, posicion.x, posicion.y, editor.orientacion);
+    editor.palabrasColocadas.push(crearPalabraColocada(entrada, posicion.x, posicion.y, editor.orientacion));
+    editor.seleccion = null;
+    const total = editor.palabrasColocadas.length;
+    mostrarEstadoEditor(`«${entrada.original}» colocada. Llevas ${total} ${total === 1 ? 'palabra' : 'palabras'}.`);
+    renderizarEditor();
 }
 
 /**
- * Verifica las respuestas del usuario con animaciones mejoradas
+ * Rehace el grid del editor a partir de sus palabras (tras quitar alguna,
+ * para no borrar letras que comparten varias palabras)
  */
-function verificarRespuestas() {
-    if (!crucigramaActual) {
-        alert('Primero genera un crucigrama');
-        return;
-    }
+function reconstruirGridEditor() {
+    editor.grid = new Grid(editor.grid.size);
+    editor.palabrasColocadas.forEach(palabra => {
+        colocarPalabra(editor.grid, palabra.palabra, palabra.x, palabra.y, palabra.orientacion);
+    });
+}
 
-    const inputs = document.querySelectorAll('.grid-cell input');
-    let correctas = 0;
-    let total = inputs.length;
-    let palabrasCompletasCorrectas = 0;
+function renderizarColocadasEditor() {
+    const lista = document.getElementById('editor-colocadas');
+    lista.innerHTML = '';
 
-    // Limpiar clases anteriores
-    inputs.forEach(input => {
-        input.parentElement.classList.remove('correct', 'incorrect');
-    });
+    if (editor.palabrasColocadas.length === 0) {
+        const vacio = document.createElement('li');
+        vacio.className = 'editor-palabras__empty';
+        vacio.textContent = 'Aún no hay palabras en el grid.';
+        lista.appendChild(vacio);
+    }
 
-    // Verificar cada letra primero
-    inputs.forEach(input => {
-        const celda = input.parentElement;
-        const respuestaCorrecta = input.dataset.respuesta;
-        const respuestaUsuario = input.value.toUpperCase();
+    editor.palabrasColocadas.forEach((palabra, index) => {
+        const li = document.createElement('li');
+        li.className = 'editor-colocada';
 
-        if (respuestaUsuario === respuestaCorrecta) {
-            correctas++;
-        } else if (respuestaUsuario) {
-            celda.classList.add('incorrect');
-        }
-    });
+        const respuesta = document.createElement('strong');
+        respuesta.textContent = `${palabra.original} ${palabra.orientacion === 'horizontal' ? '⟷' : '↕'}`;
 
-    // Verificar palabras completas
-    crucigramaActual.palabrasColocadas.forEach((palabraInfo, index) => {
-        setTimeout(() => {
-            const { todasCorrectas, celdas } = verificarPalabraCompleta(palabraInfo);
-            if (todasCorrectas) {
-                palabrasCompletasCorrectas++;
-                animarPalabraCorrecta(celdas);
+        // La pista se puede reescribir; entonces deja de salir del diccionario
+        const pista = document.createElement('input');
+        pista.type = 'text';
+        pista.value = palabra.registro ? obtenerTextoPista(palabra) : palabra.pista;
+        pista.setAttribute('aria-label', `Pista de ${palabra.original}`);
+        pista.addEventListener('change', () => {
+            const texto = pista.value.trim();
+            if (!texto) {
+                pista.value = palabra.pista;
+                return;
             }
-        }, index * 100);
-    });
+            palabra.pista = texto;
+            palabra.registro = null;
+        });
 
-    // Mostrar resultados con delay para que se vean las animaciones
-    setTimeout(() => {
-        const porcentaje = Math.round((correctas / total) * 100);
-        const mensaje = porcentaje === 100
-            ? `🎉 ¡PERFECTO! Has completado el crucigrama correctamente.\n${palabrasCompletasCorrectas} palabras de ${crucigramaActual.palabrasColocadas.length}`
-            : `Has acertado ${correctas} de ${total} letras (${porcentaje}%)\n${palabrasCompletasCorrectas} palabras completas de ${crucigramaActual.palabrasColocadas.length}`;
+        const quitarBtn = document.createElement('button');
+        quitarBtn.type = 'button';
+        quitarBtn.textContent = 'Quitar';
+        quitarBtn.addEventListener('click', () => {
+            editor.palabrasColocadas.splice(index, 1);
+            reconstruirGridEditor();
+            mostrarEstadoEditor(`«${palabra.original}» quitada del grid.`);
+            renderizarEditor();
+        });
 
-        alert(mensaje);
+        li.append(respuesta, pista, quitarBtn);
+        lista.appendChild(li);
+    });
 
-        if (porcentaje === 100) {
-            celebrarVictoria();
-        }
-    }, crucigramaActual.palabrasColocadas.length * 100 + 500);
+    document.getElementById('editor-recuento').textContent =
+        `${editor.palabrasColocadas.length} ${editor.palabrasColocadas.length === 1 ? 'palabra' : 'palabras'}`;
+}
+
+function mostrarEstadoEditor(mensaje, esError = false) {
+    const estado = document.getElementById('editor-estado');
+    estado.textContent = mensaje;
+    estado.classList.toggle('editor-estado--error', esError);
 }
 
 /**
- * Celebración especial cuando se completa todo el crucigrama
+ * Rellena los huecos con el generador, respetando las palabras ya colocadas
  */
-function celebrarVictoria() {
-    const container = document.querySelector('.container');
-    container.style.animation = 'none';
-    setTimeout(() => {
-        container.style.animation = '';
+function autocompletarEditor() {
+    const colocadas = new Set(editor.palabrasColocadas.map(palabra => palabra.palabra));
+    const entradas = obtenerEntradasEditor().filter(entrada =>
+        !colocadas.has(entrada.palabra) && entrada.palabra.length <= editor.grid.size
+    );
+    const objetivo = Math.max(configuracion.numPalabras, editor.palabrasColocadas.length + 1);
 
-        // Confeti masivo
-        for (let i = 0; i < 50; i++) {
-            setTimeout(() => {
-                const x = Math.random() * window.innerWidth;
-                const y = Math.random() * window.innerHeight;
-                const fakeElement = document.createElement('div');
-                fakeElement.style.position = 'fixed';
-                fakeElement.style.left = x + 'px';
-                fakeElement.style.top = y + 'px';
-                document.body.appendChild(fakeElement);
-                crearConfeti(fakeElement);
-                setTimeout(() => fakeElement.remove(), 100);
-            }, i * 30);
-        }
-    }, 10);
+    if (entradas.length === 0) {
+        mostrarEstadoEditor('No quedan palabras para completar: elige más unidades o añade palabras propias.', true);
+        return;
+    }
+
+    const mejor = completarDisposicion({
+        grid: editor.grid,
+        palabrasColocadas: editor.palabrasColocadas,
+        entradas,
+        numPalabras: Math.min(objetivo, editor.palabrasColocadas.length + entradas.length),
+        aleatorio: crearGeneradorAleatorio(generarSemilla())
+    });
+
+    const anadidas = mejor.palabrasColocadas.length - editor.palabrasColocadas.length;
+    editor.grid.cells = mejor.cells;
+    editor.palabrasColocadas = mejor.palabrasColocadas;
+    editor.seleccion = null;
+
+    mostrarEstadoEditor(anadidas > 0
+        ? `${anadidas === 1 ? 'Se ha añadido 1 palabra' : `Se han añadido ${anadidas} palabras`}. Pulsa otra vez para probar otra combinación.`
+        : 'No se ha encontrado sitio para más palabras que crucen con las colocadas.', anadidas === 0);
+    renderizarEditor();
+}
+
+async function cargarCrucigramaEnEditor() {
+    if (!crucigramaActual) return;
+    if (editor.palabrasColocadas.length > 0 && !await confirmar('¿Sustituir el grid del editor por el crucigrama actual?', { textoAceptar: 'Sustituir' })) return;
+
+    editor = {
+        ...crearEstadoEditor(crucigramaActual.grid.size),
+        propias: editor.propias,
+        orientacion: editor.orientacion
+    };
+    crucigramaActual.palabrasColocadas.forEach(palabra => {
+        const { numero, ...copia } = palabra;
+        editor.palabrasColocadas.push(copia);
+    });
+    reconstruirGridEditor();
+    mostrarEstadoEditor(`Cargado el crucigrama actual con ${editor.palabrasColocadas.length} palabras.`);
+    renderizarEditor();
 }
 
 /**
- * Verifica automáticamente mientras el usuario escribe
+ * Convierte el grid del editor en un crucigrama jugable
  */
-function configurarVerificacionAutomatica() {
-    const container = document.getElementById('grid-container');
-    container.addEventListener('input', (e) => {
-        if (e.target.tagName === 'INPUT' && crucigramaActual) {
-            const input = e.target;
-            const celda = input.parentElement;
-            const x = parseInt(celda.dataset.x);
-            const y = parseInt(celda.dataset.y);
+function publicarEditor() {
+    if (editor.palabrasColocadas.length < 2) {
+        mostrarEstadoEditor('Coloca al menos dos palabras antes de publicar.', true);
+        return;
+    }
 
-            // Verificar si esta letra completa alguna palabra
-            setTimeout(() => {
-                crucigramaActual.palabrasColocadas.forEach(palabraInfo => {
-                    const { todasCorrectas, celdas } = verificarPalabraCompleta(palabraInfo);
-                    if (todasCorrectas && !celdas[0].classList.contains('correct')) {
-                        animarPalabraCorrecta(celdas);
-                    }
-                });
-            }, 100);
-        }
+    const grid = new Grid(editor.grid.size);
+    grid.cells = editor.grid.cells.map(fila => [...fila]);
+    const palabrasColocadas = editor.palabrasColocadas.map(palabra => ({ ...palabra }));
+    const titulo = document.getElementById('editor-titulo').value.trim();
+    const huella = calcularHuella(JSON.stringify(palabrasColocadas.map(({ palabra, x, y, orientacion, pista }) => [palabra, x, y, orientacion, pista])));
+
+    empezarCrucigramaPropio({
+        grid,
+        palabrasColocadas,
+        direccion: direccionJuego,
+        id: `editor=${huella}`,
+        descripcion: titulo || 'Crucigrama del editor'
     });
 }
 
 // Actualizar el event listener de generar para incluir verificación automática
 const generarBtn = document.getElementById('generar-btn');
 
-generarBtn.addEventListener('click', () => {
-    const unidades = Array.from(unidadesSeleccionadas);
+generarBtn.addEventListener('click', () => generarYMostrarCrucigrama());
+document.getElementById('repaso-btn').addEventListener('click', () => generarYMostrarCrucigrama(generarSemilla(), { repaso: true }));
 
-    if (unidades.length === 0) {
-        alert('Selecciona al menos una unidad léxica antes de generar el crucigrama.');
-        toggleTooltip(true);
-        return;
-    }
+document.getElementById('verificar-btn').addEventListener('click', verificarRespuestas);
+document.getElementById('limpiar-btn').addEventListener('click', limpiarGrid);
+document.getElementById('solucion-btn').addEventListener('click', mostrarSolucion);
+document.getElementById('compartir-btn').addEventListener('click', compartirCrucigrama);
+document.getElementById('results-close').addEventListener('click', ocultarResultados);
+document.getElementById('download-starred').addEventListener('click', descargarPalabrasMarcadas);
 
-    const palabras = obtenerPalabrasPorUnidades(unidades);
-    const descripcionUnidades = obtenerDescripcionUnidades(unidades);
+document.querySelectorAll('#hint-bar button[data-ayuda]').forEach(boton => {
+    // Evitar que el botón robe el foco a la celda activa
+    boton.addEventListener('mousedown', (e) => e.preventDefault());
+    boton.addEventListener('click', () => usarAyuda(boton.dataset.ayuda));
+});
 
-    console.log(`Palabras disponibles para ${descripcionUnidades}: ${palabras.length}`);
+// Guardar el progreso con cada letra escrita
+document.getElementById('grid-container').addEventListener('input', guardarProgreso);
 
-    if (palabras.length === 0) {
-        alert(`No se encontraron palabras para ${descripcionUnidades}.`);
-        return;
-    }
+// El temporizador arranca con la primera pulsación sobre el grid
+document.getElementById('grid-container').addEventListener('keydown', iniciarTemporizador);
+document.getElementById('grid-container').addEventListener('input', iniciarTemporizador);
 
-    crucigramaActual = generarCrucigrama(palabras, 10);
+// Funcionamiento sin conexión
+window.addEventListener('load', registrarServiceWorker);
+window.addEventListener('online', mostrarInfoDiccionario);
+window.addEventListener('offline', mostrarInfoDiccionario);
 
-    if (crucigramaActual) {
-        dibujarGrid(crucigramaActual.grid, crucigramaActual.palabrasColocadas);
-        configurarVerificacionAutomatica();
-        toggleTooltip(false);
+// Pegar otro enlace compartido en la misma pestaña carga ese crucigrama
+window.addEventListener('hashchange', () => {
+    const puzzle = leerPuzzleDesdeUrl();
+    if (!puzzle || baseDeDatosPalabras.length === 0) return;
+    if (crucigramaActual && crucigramaActual.semilla === puzzle.semilla) return;
+
+    aplicarPuzzleCompartido(puzzle);
+    if (!descartarUnidadesDesconocidas(puzzle)) {
+        actualizarResumenUnidades();
+        return;
     }
+    document.getElementById('direccion-juego').value = direccionJuego;
+    document.getElementById('modo-pistas').value = modoPistas;
+    document.getElementById('modo-acentos').value = modoAcentos;
+    actualizarResumenUnidades();
+    actualizarResumenAjustes();
+    generarYMostrarCrucigrama(puzzle.semilla);
 });
-
-document.getElementById('verificar-btn').addEventListener('click', verificarRespuestas);
-document.getElementById('limpiar-btn').addEventListener('click', limpiarGrid);
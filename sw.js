@@ -0,0 +1,123 @@
+// Service worker: guarda la página y el diccionario para poder jugar sin
+// conexión. Hay que subir VERSION_APP cada vez que se publiquen cambios en
+// los archivos de la aplicación; el diccionario se actualiza solo.
+const VERSION_APP = 'v1';
+const PREFIJO_CACHE = 'crucigramas-';
+const CACHE_APP = `${PREFIJO_CACHE}app-${VERSION_APP}`;
+const CACHE_DICCIONARIO = `${PREFIJO_CACHE}diccionario`;
+
+const ARCHIVOS_APP = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icono.svg'
+];
+const URL_DICCIONARIO = new URL('palabras.json', self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_APP);
+        await cache.addAll(ARCHIVOS_APP);
+
+        // El diccionario se conserva entre versiones de la aplicación
+        const diccionario = await caches.open(CACHE_DICCIONARIO);
+        if (!await diccionario.match(URL_DICCIONARIO)) {
+            await diccionario.add(URL_DICCIONARIO);
+        }
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const nombres = await caches.keys();
+        await Promise.all(nombres
+            .filter(nombre => nombre.startsWith(PREFIJO_CACHE) && nombre !== CACHE_APP && nombre !== CACHE_DICCIONARIO)
+            .map(nombre => caches.delete(nombre)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.url.split(/[?#]/)[0] === URL_DICCIONARIO) {
+        event.respondWith(responderDiccionario(event));
+    } else {
+        event.respondWith(responderArchivoApp(event));
+    }
+});
+
+/**
+ * Archivos de la aplicación: se sirve la copia guardada al instante y se
+ * refresca en segundo plano para la próxima visita
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function responderArchivoApp(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE_APP);
+    const guardada = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const red = fetch(request).then(respuesta => {
+        if (respuesta.ok) {
+            return cache.put(request, respuesta.clone()).then(() => respuesta);
+        }
+        return respuesta;
+    });
+
+    if (guardada) {
+        event.waitUntil(red.catch(() => {}));
+        return guardada;
+    }
+
+    try {
+        return await red;
+    } catch (error) {
+        // Sin conexión y sin copia de esta URL: para la navegación vale la página principal
+        const principal = request.mode === 'navigate' ? await cache.match('index.html') : null;
+        if (principal) return principal;
+        throw error;
+    }
+}
+
+/**
+ * palabras.json: se sirve la copia guardada y se comprueba en segundo plano
+ * si ha cambiado. Si hay una versión nueva se guarda y se avisa a las
+ * páginas abiertas para que puedan cargarla.
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function responderDiccionario(event) {
+    const cache = await caches.open(CACHE_DICCIONARIO);
+    const guardada = await cache.match(URL_DICCIONARIO);
+    // La página empieza a leer `guardada` enseguida; la comparación usa una
+    // copia sacada antes, porque clonar un cuerpo ya en uso falla
+    const copia = guardada?.clone();
+
+    const red = fetch(URL_DICCIONARIO, { cache: 'no-cache' }).then(async respuesta => {
+        if (!respuesta.ok) return respuesta;
+
+        const cambiado = !copia || await copia.text() !== await respuesta.clone().text();
+        if (cambiado) {
+            await cache.put(URL_DICCIONARIO, respuesta.clone());
+            if (guardada) await avisarClientes({ tipo: 'diccionario-actualizado' });
+        }
+        return respuesta;
+    });
+
+    if (guardada) {
+        event.waitUntil(red.catch(() => {}));
+        return guardada;
+    }
+    return red;
+}
+
+async function avisarClientes(mensaje) {
+    const clientes = await self.clients.matchAll({ type: 'window' });
+    clientes.forEach(cliente => cliente.postMessage(mensaje));
+}